@@ -0,0 +1,119 @@
+function validateBatchOptions({maxSize, interval, schedule, coalesce}) {
+	if (!(maxSize === Number.POSITIVE_INFINITY || (Number.isInteger(maxSize) && maxSize > 0))) {
+		throw new TypeError('Expected `maxSize` to be a positive integer');
+	}
+
+	if (interval !== undefined && !(typeof interval === 'number' && interval > 0)) {
+		throw new TypeError('Expected `interval` to be a positive number');
+	}
+
+	if (schedule !== undefined && typeof schedule !== 'function') {
+		throw new TypeError('Expected `schedule` to be a function');
+	}
+
+	if (interval !== undefined && schedule !== undefined) {
+		throw new TypeError('Expected either `interval` or `schedule`, not both');
+	}
+
+	if (maxSize === Number.POSITIVE_INFINITY && interval === undefined && schedule === undefined) {
+		throw new TypeError('Expected a `maxSize`, `interval`, or `schedule` option');
+	}
+
+	if (coalesce !== undefined && coalesce !== 'type' && typeof coalesce !== 'function') {
+		throw new TypeError('Expected `coalesce` to be `\'type\'` or a function');
+	}
+}
+
+/**
+TransformStream that groups events into arrays, to handle a fast stream in fewer steps, like updating a UI once per batch instead of once per event.
+
+@example
+```
+import {parseServerSentEvents, ServerSentEventBatchStream} from 'parse-sse';
+
+const batches = parseServerSentEvents(response)
+	.pipeThrough(new ServerSentEventBatchStream({interval: 50}));
+
+for await (const events of batches) {
+	render(events.map(event => event.data).join(''));
+}
+```
+*/
+export class ServerSentEventBatchStream extends TransformStream {
+	constructor(options = {}) {
+		const {
+			maxSize = Number.POSITIVE_INFINITY,
+			interval,
+			schedule,
+			coalesce,
+		} = options;
+
+		validateBatchOptions({
+			maxSize,
+			interval,
+			schedule,
+			coalesce,
+		});
+
+		const getKey = coalesce === 'type' ? event => event.type : coalesce;
+		const scheduleFlush = schedule ?? (interval === undefined ? undefined : callback => setTimeout(callback, interval));
+
+		// Coalesced events are keyed, and moved to the end when replaced, so the last event of a batch is always the last one received
+		let events = getKey ? new Map() : [];
+		let scheduled;
+
+		const emit = controller => {
+			if (scheduled && !schedule) {
+				clearTimeout(scheduled.handle);
+			}
+
+			scheduled = undefined;
+
+			const batch = getKey ? [...events.values()] : events;
+			events = getKey ? new Map() : [];
+
+			if (batch.length > 0) {
+				controller.enqueue(batch);
+			}
+		};
+
+		super({
+			transform(event, controller) {
+				if (event.kind === 'comment') {
+					return;
+				}
+
+				if (getKey) {
+					const key = getKey(event);
+					events.delete(key);
+					events.set(key, event);
+				} else {
+					events.push(event);
+				}
+
+				if ((getKey ? events.size : events.length) >= maxSize) {
+					emit(controller);
+					return;
+				}
+
+				if (scheduleFlush && !scheduled) {
+					const current = {};
+					current.handle = scheduleFlush(() => {
+						// A batch that was already emitted because it was full
+						if (scheduled !== current) {
+							return;
+						}
+
+						try {
+							emit(controller);
+						} catch {} // The stream was cancelled
+					});
+					scheduled = current;
+				}
+			},
+			flush(controller) {
+				emit(controller);
+			},
+		});
+	}
+}
@@ -0,0 +1,56 @@
+import {ServerSentEventTransformStream, ServerSentEventByteTransformStream} from './index.js';
+
+const encoder = new TextEncoder();
+
+function createChunkStream(chunks) {
+	let index = 0;
+	return new ReadableStream({
+		pull(controller) {
+			if (index < chunks.length) {
+				controller.enqueue(chunks[index++]);
+			} else {
+				controller.close();
+			}
+		},
+	});
+}
+
+function splitIntoChunks(text, chunkSize) {
+	const chunks = [];
+	for (let index = 0; index < text.length; index += chunkSize) {
+		chunks.push(text.slice(index, index + chunkSize));
+	}
+
+	return chunks;
+}
+
+async function countEvents(stream) {
+	let count = 0;
+	for await (const _ of stream) {
+		count++;
+	}
+
+	return count;
+}
+
+async function measure(name, text, chunkSize) {
+	const textChunks = splitIntoChunks(text, chunkSize);
+	const byteChunks = textChunks.map(chunk => encoder.encode(chunk));
+	const megabytes = text.length / 1024 / 1024;
+
+	for (const [parserName, chunks, ParserStream] of [
+		['text', textChunks, ServerSentEventTransformStream],
+		['bytes', byteChunks, ServerSentEventByteTransformStream],
+	]) {
+		const start = performance.now();
+
+		const eventCount = await countEvents(createChunkStream(chunks).pipeThrough(new ParserStream())); // eslint-disable-line no-await-in-loop
+
+		const duration = performance.now() - start;
+		console.log(`${name} (${parserName}): ${eventCount} events in ${duration.toFixed(0)} ms (${(megabytes / (duration / 1000)).toFixed(1)} MB/s)`);
+	}
+}
+
+await measure('1-byte chunks', 'event: update\ndata: {"value":42}\n\n'.repeat(10_000), 1);
+await measure('10 MB single event', `data: ${'x'.repeat(10 * 1024 * 1024)}\n\n`, 1024);
+await measure('100k tiny events', 'data: x\n\n'.repeat(100_000), 16_384);
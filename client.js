@@ -0,0 +1,361 @@
+import {
+	ServerSentEventResponseError,
+	getResponseProblem,
+	parseServerSentEvents,
+	createTerminatorPredicate,
+} from './parse.js';
+import {reportConnectionState} from './transform-stream.js';
+import {cancelQuietly, delay} from './utilities.js';
+
+const defaultRetryDelay = 1000;
+const defaultMaxRetryDelay = 30_000;
+
+function calculateRetryDelay(baseDelay, retryCount, maxRetryDelay) {
+	const exponentialDelay = Math.min(baseDelay * (2 ** (retryCount - 1)), maxRetryDelay);
+
+	// Equal jitter: wait between half and the full delay so reconnecting clients don't stampede the server
+	return (exponentialDelay / 2) + (Math.random() * exponentialDelay / 2);
+}
+
+/**
+Create a continuous stream of Server-Sent Events that automatically reconnects, like `EventSource`.
+
+@param {Function} requestFactory - Function that performs the request and returns a `Response`.
+@param {object} [options]
+@returns {ReadableStream<ServerSentEvent>} A stream of parsed SSE events spanning all connections.
+
+@example
+```
+import {createServerSentEventStream} from 'parse-sse';
+
+const stream = createServerSentEventStream(({headers, signal}) => fetch('https://api.example.com/events', {headers, signal}));
+
+for await (const event of stream) {
+	console.log(event.data);
+}
+```
+*/
+export function createServerSentEventStream(requestFactory, options = {}) {
+	if (typeof requestFactory !== 'function') {
+		throw new TypeError('Expected a function that returns a Response');
+	}
+
+	const {
+		signal,
+		maxRetries = Number.POSITIVE_INFINITY,
+		retryDelay = defaultRetryDelay,
+		maxRetryDelay = defaultMaxRetryDelay,
+		validate = true,
+		trailingEvent = 'discard',
+		includeTerminator = false,
+	} = options;
+
+	const isTerminator = options.terminator === undefined ? undefined : createTerminatorPredicate(options.terminator);
+
+	// Aborted when either the user's signal fires or the stream is cancelled
+	const abortController = new AbortController();
+	signal?.addEventListener('abort', () => {
+		abortController.abort(signal.reason);
+	}, {once: true});
+
+	if (signal?.aborted) {
+		abortController.abort(signal.reason);
+	}
+
+	let lastEventId = options.lastEventId ?? '';
+	let baseDelay = retryDelay;
+	let retryCount = 0;
+	let reader;
+
+	abortController.signal.addEventListener('abort', () => {
+		// Settle any pending read so an unresponsive connection cannot block the abort
+		cancelQuietly(reader, abortController.signal.reason);
+	}, {once: true});
+
+	async function connect() {
+		const headers = lastEventId ? {'Last-Event-ID': lastEventId} : {};
+		const response = await requestFactory({headers, lastEventId, signal: abortController.signal});
+
+		// Spec: HTTP 204 No Content tells the client to stop reconnecting
+		if (response?.status === 204) {
+			return undefined;
+		}
+
+		return parseServerSentEvents(response, {
+			...options,
+			lastEventId,
+			validate,
+			trailingEvent,
+			state: undefined, // Each connection is a new stream
+			terminator: undefined, // Handled here, as a terminated connection must not reconnect
+			[reportConnectionState]: true,
+		}).getReader();
+	}
+
+	return new ReadableStream({
+		async pull(controller) {
+			while (true) {
+				let error;
+
+				try {
+					abortController.signal.throwIfAborted();
+
+					if (!reader) {
+						reader = await connect(); // eslint-disable-line no-await-in-loop
+
+						if (!reader) {
+							controller.close();
+							return;
+						}
+
+						abortController.signal.throwIfAborted();
+					}
+
+					const {done, value} = await reader.read(); // eslint-disable-line no-await-in-loop
+
+					if (!done) {
+						// Not an item of the stream, only updates what the next connection sends
+						if (value.kind === 'connection-state') {
+							lastEventId = value.lastEventId;
+							if (value.retry !== undefined) {
+								baseDelay = value.retry;
+							}
+
+							continue;
+						}
+
+						if (value.kind !== 'comment') {
+							lastEventId = value.lastEventId;
+							if (value.retry !== undefined) {
+								baseDelay = value.retry;
+							}
+						}
+
+						// A successful event means the connection is healthy again
+						retryCount = 0;
+
+						if (value.kind !== 'comment' && isTerminator?.(value)) {
+							cancelQuietly(reader);
+							reader = undefined;
+
+							if (includeTerminator) {
+								controller.enqueue(value);
+							}
+
+							controller.close();
+							return;
+						}
+
+						controller.enqueue(value);
+						return;
+					}
+				} catch (error_) {
+					// An invalid response fails the connection permanently, like `EventSource`
+					if (error_ instanceof ServerSentEventResponseError) {
+						throw error_;
+					}
+
+					error = error_;
+				}
+
+				if (abortController.signal.aborted) {
+					cancelQuietly(reader, abortController.signal.reason);
+					throw abortController.signal.reason;
+				}
+
+				reader = undefined;
+
+				if (retryCount >= maxRetries) {
+					throw error ?? new Error('The connection was closed and the maximum number of retries was reached');
+				}
+
+				retryCount++;
+				// eslint-disable-next-line no-await-in-loop
+				await delay(calculateRetryDelay(baseDelay, retryCount, maxRetryDelay), abortController.signal);
+			}
+		},
+		cancel(reason) {
+			abortController.abort(reason);
+		},
+	}, {highWaterMark: 0});
+}
+
+const readyStates = {CONNECTING: 0, OPEN: 1, CLOSED: 2};
+
+/**
+An `EventSource` that connects with `fetch`, so it supports custom methods, headers, and bodies.
+
+@example
+```
+import {FetchEventSource} from 'parse-sse';
+
+const eventSource = new FetchEventSource('https://api.example.com/events', {
+	headers: {Authorization: `Bearer ${token}`},
+});
+
+eventSource.addEventListener('update', event => {
+	console.log(event.data);
+});
+```
+*/
+export class FetchEventSource extends EventTarget {
+	static CONNECTING = readyStates.CONNECTING;
+	static OPEN = readyStates.OPEN;
+	static CLOSED = readyStates.CLOSED;
+	CONNECTING = readyStates.CONNECTING;
+	OPEN = readyStates.OPEN;
+	CLOSED = readyStates.CLOSED;
+	#readyState = readyStates.CONNECTING;
+	#abortController = new AbortController();
+	#handlers = {};
+	#lastEventId = '';
+	#reconnectionTime = defaultRetryDelay;
+	#fetch;
+	#init;
+
+	constructor(url, init = {}) {
+		super();
+
+		const {fetch: fetchFunction = globalThis.fetch, withCredentials = false, ...fetchInit} = init;
+
+		if (typeof fetchFunction !== 'function') {
+			throw new TypeError('Expected `fetch` to be a function');
+		}
+
+		this.url = new URL(url, globalThis.location?.href).href;
+		this.withCredentials = Boolean(withCredentials);
+		this.#fetch = fetchFunction;
+		this.#init = {
+			cache: 'no-store',
+			...fetchInit,
+			credentials: fetchInit.credentials ?? (this.withCredentials ? 'include' : 'same-origin'),
+		};
+
+		this.#run();
+	}
+
+	get readyState() {
+		return this.#readyState;
+	}
+
+	get onopen() {
+		return this.#handlers.open ?? null;
+	}
+
+	set onopen(handler) {
+		this.#setHandler('open', handler);
+	}
+
+	get onmessage() {
+		return this.#handlers.message ?? null;
+	}
+
+	set onmessage(handler) {
+		this.#setHandler('message', handler);
+	}
+
+	get onerror() {
+		return this.#handlers.error ?? null;
+	}
+
+	set onerror(handler) {
+		this.#setHandler('error', handler);
+	}
+
+	/**
+	Close the connection and stop reconnecting.
+	*/
+	close() {
+		this.#readyState = readyStates.CLOSED;
+		this.#abortController.abort();
+	}
+
+	#setHandler(type, handler) {
+		if (this.#handlers[type]) {
+			this.removeEventListener(type, this.#handlers[type]);
+		}
+
+		this.#handlers[type] = typeof handler === 'function' ? handler : undefined;
+
+		if (this.#handlers[type]) {
+			this.addEventListener(type, this.#handlers[type]);
+		}
+	}
+
+	async #connect() {
+		const headers = new Headers(this.#init.headers);
+		headers.set('accept', 'text/event-stream');
+
+		if (this.#lastEventId) {
+			headers.set('last-event-id', this.#lastEventId);
+		}
+
+		const response = await this.#fetch(this.url, {...this.#init, headers, signal: this.#abortController.signal});
+
+		// Spec: anything other than a 200 `text/event-stream` response fails the connection for good
+		if (response.status !== 200 || !response.body || getResponseProblem(response)) {
+			cancelQuietly(response.body);
+			return undefined;
+		}
+
+		return response;
+	}
+
+	async #run() {
+		const {signal} = this.#abortController;
+
+		while (!signal.aborted) {
+			try {
+				const response = await this.#connect(); // eslint-disable-line no-await-in-loop
+
+				if (signal.aborted) {
+					return;
+				}
+
+				if (!response) {
+					this.#readyState = readyStates.CLOSED;
+					this.dispatchEvent(new Event('error'));
+					return;
+				}
+
+				this.#readyState = readyStates.OPEN;
+				this.dispatchEvent(new Event('open'));
+
+				const {origin} = new URL(response.url || this.url);
+				const events = parseServerSentEvents(response, {lastEventId: this.#lastEventId, trailingEvent: 'discard', [reportConnectionState]: true});
+
+				for await (const event of events) { // eslint-disable-line no-await-in-loop
+					this.#lastEventId = event.lastEventId;
+					if (event.retry !== undefined) {
+						this.#reconnectionTime = event.retry;
+					}
+
+					if (event.kind === 'connection-state') {
+						continue;
+					}
+
+					if (signal.aborted) {
+						return;
+					}
+
+					this.dispatchEvent(new MessageEvent(event.type, {data: event.data, origin, lastEventId: event.lastEventId}));
+				}
+			} catch {
+				// A network error is retried, like a closed connection
+			}
+
+			if (signal.aborted) {
+				return;
+			}
+
+			this.#readyState = readyStates.CONNECTING;
+			this.dispatchEvent(new Event('error'));
+
+			try {
+				await delay(this.#reconnectionTime, signal); // eslint-disable-line no-await-in-loop
+			} catch {
+				return;
+			}
+		}
+	}
+}
@@ -0,0 +1,218 @@
+import {toIterator} from './utilities.js';
+
+const lineBreakRegex = /\r\n|\r|\n/;
+
+function assertSingleLine(value, name) {
+	if (lineBreakRegex.test(value)) {
+		throw new TypeError(`Expected \`${name}\` to not contain line breaks`);
+	}
+}
+
+function formatEvent(event, id) {
+	let text = '';
+
+	if (event.kind === 'comment' || event.comment !== undefined) {
+		const comment = event.kind === 'comment' ? event.text : event.comment;
+
+		for (const line of String(comment).split(lineBreakRegex)) {
+			text += line ? `: ${line}\n` : ':\n';
+		}
+
+		// A comment record is not an event, so it's not terminated by a blank line
+		if (event.kind === 'comment') {
+			return text;
+		}
+	}
+
+	const {type, data, retry} = event;
+
+	if (type !== undefined && type !== '' && type !== 'message') {
+		assertSingleLine(type, 'type');
+		text += `event: ${type}\n`;
+	}
+
+	if (id !== undefined) {
+		id = String(id);
+
+		// Spec: The parser ignores an ID containing NULL, so it would silently be lost
+		if (id.includes('\0')) {
+			throw new TypeError('Expected `id` to not contain NULL characters');
+		}
+
+		assertSingleLine(id, 'id');
+		text += id ? `id: ${id}\n` : 'id\n';
+	}
+
+	if (retry !== undefined) {
+		if (!Number.isSafeInteger(retry) || retry < 0) {
+			throw new TypeError('Expected `retry` to be a non-negative integer');
+		}
+
+		text += `retry: ${retry}\n`;
+	}
+
+	if (data !== undefined) {
+		// Each line needs its own `data:` field. The space keeps a leading space in the value intact.
+		for (const line of String(data).split(lineBreakRegex)) {
+			text += `data: ${line}\n`;
+		}
+	}
+
+	return text + '\n';
+}
+
+/**
+Format an event as Server-Sent Events text.
+
+@param {object} event - The event to format.
+@returns {string} The `text/event-stream` text, terminated by a blank line.
+
+@example
+```
+import {formatServerSentEvent} from 'parse-sse';
+
+formatServerSentEvent({type: 'update', data: 'line 1\nline 2', id: '1'});
+//=> 'event: update\nid: 1\ndata: line 1\ndata: line 2\n\n'
+```
+*/
+export function formatServerSentEvent(event) {
+	if (typeof event !== 'object' || event === null) {
+		throw new TypeError('Expected an event object');
+	}
+
+	// `lastEventId` from a parsed event only becomes an `id:` field when set, as an empty one would reset it
+	return formatEvent(event, event.id ?? (event.lastEventId || undefined));
+}
+
+/**
+TransformStream that encodes events as Server-Sent Events bytes.
+
+The inverse of `ServerSentEventTransformStream`.
+
+@example
+```
+import {ServerSentEventEncoderStream} from 'parse-sse';
+
+const body = eventStream.pipeThrough(new ServerSentEventEncoderStream());
+```
+*/
+export class ServerSentEventEncoderStream extends TransformStream {
+	constructor() {
+		const encoder = new TextEncoder();
+		let lastEventId = '';
+
+		super({
+			transform(event, controller) {
+				if (typeof event !== 'object' || event === null) {
+					throw new TypeError('Expected an event object');
+				}
+
+				let {id} = event;
+
+				// Parsed events carry the stream-level `lastEventId`, so only write it when it changes
+				if (id === undefined && event.lastEventId !== undefined && event.lastEventId !== lastEventId) {
+					id = event.lastEventId;
+				}
+
+				const text = formatEvent(event, id);
+
+				if (id !== undefined) {
+					lastEventId = String(id);
+				}
+
+				controller.enqueue(encoder.encode(text));
+			},
+		});
+	}
+}
+
+/**
+Create a `Response` that streams events as Server-Sent Events.
+
+@param {AsyncIterable<object> | Iterable<object> | ReadableStream<object>} source - The events to send.
+@param {object} [options]
+@returns {Response} A response with a `text/event-stream` body.
+
+@example
+```
+import {createServerSentEventResponse} from 'parse-sse';
+
+export default {
+	fetch() {
+		return createServerSentEventResponse(generateEvents());
+	},
+};
+```
+*/
+export function createServerSentEventResponse(source, options = {}) {
+	const {
+		keepAliveInterval = 15_000,
+		status = 200,
+		statusText,
+	} = options;
+
+	const iterator = toIterator(source);
+	let keepAliveTimeout;
+
+	const scheduleKeepAlive = controller => {
+		clearTimeout(keepAliveTimeout);
+
+		if (keepAliveInterval <= 0) {
+			return;
+		}
+
+		keepAliveTimeout = setTimeout(() => {
+			// Only when nothing is queued, so an unread response doesn't pile up keep-alives
+			if (controller.desiredSize >= 0) {
+				controller.enqueue({kind: 'comment', text: 'keep-alive'});
+			}
+
+			scheduleKeepAlive(controller);
+		}, keepAliveInterval);
+	};
+
+	const events = new ReadableStream({
+		start(controller) {
+			scheduleKeepAlive(controller);
+		},
+		async pull(controller) {
+			let result;
+
+			try {
+				result = await iterator.next();
+			} catch (error) {
+				clearTimeout(keepAliveTimeout);
+				throw error;
+			}
+
+			if (result.done) {
+				clearTimeout(keepAliveTimeout);
+				controller.close();
+				return;
+			}
+
+			controller.enqueue(result.value);
+			scheduleKeepAlive(controller);
+		},
+		async cancel(reason) {
+			clearTimeout(keepAliveTimeout);
+			await iterator.return?.(reason);
+		},
+	}, {highWaterMark: 0});
+
+	return new Response(events.pipeThrough(new ServerSentEventEncoderStream()), {status, statusText, headers: createEventStreamHeaders(options.headers)});
+}
+
+export function createEventStreamHeaders(init) {
+	const headers = new Headers(init);
+
+	if (!headers.has('content-type')) {
+		headers.set('content-type', 'text/event-stream; charset=utf-8');
+	}
+
+	if (!headers.has('cache-control')) {
+		headers.set('cache-control', 'no-cache');
+	}
+
+	return headers;
+}
@@ -0,0 +1,242 @@
+import {ServerSentEventLimitError} from './transform-stream.js';
+import {cancelQuietly} from './utilities.js';
+
+const overflowPolicies = new Set(['buffer', 'drop-oldest', 'disconnect']);
+
+function createSubscriber(queue, {overflow, maxBufferedEvents}, onCancel) {
+	let controller;
+	let wake;
+	let isClosing = false;
+
+	const stream = new ReadableStream({
+		start(streamController) {
+			controller = streamController;
+		},
+		pull() {
+			if (queue.length > 0) {
+				controller.enqueue(queue.shift());
+				return;
+			}
+
+			if (isClosing) {
+				controller.close();
+				return;
+			}
+
+			return new Promise(resolve => {
+				wake = resolve;
+			});
+		},
+		cancel(reason) {
+			queue.length = 0;
+			onCancel(reason);
+		},
+	}, {highWaterMark: 0});
+
+	function resolveWake() {
+		wake?.();
+		wake = undefined;
+	}
+
+	function error(error) {
+		queue.length = 0;
+		controller.error(error);
+		resolveWake();
+	}
+
+	return {
+		stream,
+		push(event) {
+			// A pending read means the queue is empty
+			if (wake) {
+				controller.enqueue(event);
+				resolveWake();
+				return;
+			}
+
+			queue.push(event);
+
+			if (overflow === 'buffer' || queue.length <= maxBufferedEvents) {
+				return;
+			}
+
+			if (overflow === 'drop-oldest') {
+				queue.shift();
+				return;
+			}
+
+			error(new ServerSentEventLimitError('maxBufferedEvents', maxBufferedEvents));
+			onCancel();
+		},
+		close() {
+			// Queued events are still delivered before the stream closes
+			if (wake) {
+				controller.close();
+				resolveWake();
+				return;
+			}
+
+			isClosing = true;
+		},
+		error,
+	};
+}
+
+/**
+Share one stream of events between any number of subscribers.
+
+@example
+```
+import {createServerSentEventStream, ServerSentEventHub} from 'parse-sse';
+
+const hub = new ServerSentEventHub(() => createServerSentEventStream(({headers, signal}) => fetch('https://api.example.com/events', {headers, signal})), {replay: 10});
+
+for await (const event of hub.subscribe()) {
+	console.log(event.data);
+}
+```
+*/
+export class ServerSentEventHub {
+	#source;
+	#replay;
+	#replayBuffer = [];
+	#subscribers = new Set();
+	#reader;
+	#ending; // Set once the upstream cannot be read again, so later subscribers end the same way
+
+	constructor(source, {replay = 0} = {}) {
+		if (!(source instanceof ReadableStream) && typeof source !== 'function') {
+			throw new TypeError('Expected `source` to be a ReadableStream or a function that returns one');
+		}
+
+		if (!Number.isInteger(replay) || replay < 0) {
+			throw new TypeError('Expected `replay` to be a non-negative integer');
+		}
+
+		this.#source = source;
+		this.#replay = replay;
+	}
+
+	get subscriberCount() {
+		return this.#subscribers.size;
+	}
+
+	subscribe({lastEventId, overflow = 'buffer', maxBufferedEvents = 100} = {}) {
+		if (!overflowPolicies.has(overflow)) {
+			throw new TypeError(`Expected \`overflow\` to be one of ${[...overflowPolicies].map(policy => `'${policy}'`).join(', ')}`);
+		}
+
+		if (!Number.isInteger(maxBufferedEvents) || maxBufferedEvents < 1) {
+			throw new TypeError('Expected `maxBufferedEvents` to be a positive integer');
+		}
+
+		const subscriber = createSubscriber(this.#getReplay(lastEventId), {overflow, maxBufferedEvents}, reason => {
+			this.#unsubscribe(subscriber, reason);
+		});
+
+		if (this.#ending) {
+			this.#ending(subscriber);
+			return subscriber.stream;
+		}
+
+		if (!this.#reader) {
+			this.#connect();
+		}
+
+		this.#subscribers.add(subscriber);
+		return subscriber.stream;
+	}
+
+	close() {
+		this.#ending ??= subscriber => subscriber.close();
+		this.#stop();
+	}
+
+	#getReplay(lastEventId) {
+		if (lastEventId === undefined) {
+			return [...this.#replayBuffer];
+		}
+
+		// Without the event in the buffer, there is no telling what was missed, so everything is replayed
+		const index = this.#replayBuffer.findIndex(event => event.lastEventId === lastEventId);
+		return this.#replayBuffer.slice(index + 1);
+	}
+
+	#connect() {
+		const events = typeof this.#source === 'function' ? this.#source() : this.#source;
+		const reader = events.getReader();
+		this.#reader = reader;
+		this.#read(reader);
+	}
+
+	async #read(reader) {
+		try {
+			while (true) {
+				const {done, value} = await reader.read(); // eslint-disable-line no-await-in-loop
+
+				// The last subscriber left, and the next one reads from a new upstream
+				if (this.#reader !== reader) {
+					return;
+				}
+
+				if (done) {
+					this.#end(subscriber => subscriber.close());
+					return;
+				}
+
+				this.#publish(value);
+			}
+		} catch (error) {
+			if (this.#reader === reader) {
+				this.#end(subscriber => subscriber.error(error));
+			}
+		}
+	}
+
+	#publish(event) {
+		if (this.#replay > 0 && event.kind !== 'comment') {
+			this.#replayBuffer.push(event);
+
+			if (this.#replayBuffer.length > this.#replay) {
+				this.#replayBuffer.shift();
+			}
+		}
+
+		for (const subscriber of this.#subscribers) {
+			subscriber.push(event);
+		}
+	}
+
+	#end(callback) {
+		this.#reader = undefined;
+
+		// A function source is called again for the next subscriber, but a stream can only be read once
+		if (typeof this.#source !== 'function') {
+			this.#ending ??= callback;
+		}
+
+		for (const subscriber of this.#subscribers) {
+			callback(subscriber);
+		}
+
+		this.#subscribers.clear();
+	}
+
+	#unsubscribe(subscriber, reason) {
+		this.#subscribers.delete(subscriber);
+
+		if (this.#subscribers.size === 0) {
+			this.#stop(reason);
+		}
+	}
+
+	#stop(reason) {
+		const reader = this.#reader;
+		if (!reader) {
+			return;
+		}
+
+		this.#end(subscriber => subscriber.close());
+		cancelQuietly(reader, reason);
+	}
+}
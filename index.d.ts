@@ -33,145 +33,1611 @@ export type ServerSentEvent = {
 	Indicates how long to wait before reconnecting.
 	*/
 	retry: number | undefined;
+
+	/**
+	Fields not defined by the spec, like vendor-specific fields, keyed by field name.
+
+	Repeated fields are joined with newlines. Only present with the `includeExtensions` option.
+	*/
+	extensions?: Map<string, string>;
+
+	/**
+	The lines the event was parsed from. Only present with the `includeRaw` option.
+	*/
+	raw?: ServerSentEventRaw;
+
+	/**
+	When and how the event was received. Only present with the `includeMetadata` option.
+	*/
+	metadata?: ServerSentEventMetadata;
+};
+
+/**
+When and how an event was received, for latency monitoring.
+*/
+export type ServerSentEventMetadata = {
+	/**
+	When the event was dispatched, as a [timestamp](https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Date/now) in milliseconds.
+	*/
+	receivedAt: number;
+
+	/**
+	The position of the event in the stream, starting at 1. Events dropped by `maxEventsPerSecond` are not counted.
+	*/
+	sequence: number;
+
+	/**
+	The size of the lines the event was parsed from, including line terminators, comments, and ignored fields, but not the blank line that dispatched it. In bytes for byte input and in characters for text input.
+	*/
+	size: number;
+
+	/**
+	Milliseconds since the previous event, or `undefined` for the first event.
+	*/
+	sincePrevious: number | undefined;
+};
+
+/**
+Statistics about a stream from the `stats` property of `ServerSentEventTransformStream` and `ServerSentEventByteTransformStream`.
+*/
+export type ServerSentEventStats = {
+	/**
+	The number of events dispatched. Comments and events dropped by `maxEventsPerSecond` are not counted.
+	*/
+	eventCount: number;
+
+	/**
+	The size of the input so far. In bytes for byte input and in characters for text input.
+	*/
+	receivedSize: number;
+
+	/**
+	The average number of events per second since the stream was created.
+	*/
+	eventsPerSecond: number;
+
+	/**
+	Milliseconds from creating the stream to the first event, or `undefined` before it.
+	*/
+	timeToFirstEvent: number | undefined;
+
+	/**
+	The length of the largest event data so far, measured like the `maxEventSize` option.
+	*/
+	maxEventSize: number;
+};
+
+/**
+The lines an event or comment was parsed from.
+*/
+export type ServerSentEventRaw = {
+	/**
+	The line number of the first line, starting at 1.
+	*/
+	line: number;
+
+	/**
+	The offset of the first line from the start of the stream. In bytes for byte input and in characters for text input.
+	*/
+	offset: number;
+
+	/**
+	The lines without line terminators, including comments and ignored fields but not the blank line that dispatched the event.
+
+	Lines are truncated by the `maxLineLength` option, and with the `maxEventSize` option, the lines joined by newlines are cut at that length, like the data.
+	*/
+	lines: string[];
+};
+
+/**
+Why a line was reported by the `onDiagnostic` option.
+
+- `'unknown-field'` - A field not defined by the spec was ignored. Not reported with the `includeExtensions` option.
+- `'field-name-whitespace'` - A field name would be known without its whitespace, like `data :`.
+- `'stray-bom'` - A line starts with a byte order mark, which is only allowed at the start of the stream.
+- `'invalid-retry'` - A `retry` field that is not an integer was ignored.
+- `'id-contains-null'` - An `id` field with a NULL character was ignored.
+- `'event-without-data'` - An event with a type but no data was not dispatched.
+- `'incomplete-event'` - The stream ended with an event that was not terminated by a blank line. What happens to it depends on the `trailingEvent` option.
+*/
+export type ServerSentEventDiagnosticCode =
+	| 'unknown-field'
+	| 'field-name-whitespace'
+	| 'stray-bom'
+	| 'invalid-retry'
+	| 'id-contains-null'
+	| 'event-without-data'
+	| 'incomplete-event';
+
+/**
+A malformed or suspicious line that the parser ignored as the spec requires.
+*/
+export type ServerSentEventDiagnostic = {
+	readonly code: ServerSentEventDiagnosticCode;
+
+	/**
+	A human-readable description.
+	*/
+	readonly message: string;
+
+	/**
+	The line number, starting at 1.
+	*/
+	readonly line: number;
+
+	/**
+	The offset of the line from the start of the stream. In bytes for byte input and in characters for text input.
+	*/
+	readonly offset: number;
+
+	/**
+	The line without its line terminator.
+	*/
+	readonly text: string;
+};
+
+/**
+A comment line, like a `: heartbeat`, emitted with the `includeComments` option.
+*/
+export type ServerSentEventComment = {
+	kind: 'comment';
+
+	/**
+	The comment text, without the leading colon and single leading space.
+	*/
+	text: string;
+
+	/**
+	The line the comment was parsed from. Only present with the `includeRaw` option.
+	*/
+	raw?: ServerSentEventRaw;
+};
+
+/**
+A limit, either as a number or with the action to take when it's exceeded.
+
+- `'error'` - Error the stream with a `ServerSentEventLimitError`.
+- `'truncate'` - Keep the start of the line or data and discard the rest.
+- `'drop'` - Drop the event and call `onLimitExceeded`.
+
+A number uses the `'error'` action.
+*/
+export type ServerSentEventLimit<Action extends string = 'error' | 'truncate' | 'drop'> = number | {
+	readonly limit: number;
+
+	/**
+	@default 'error'
+	*/
+	readonly action?: Action;
+};
+
+/**
+Details about an exceeded limit with the `'truncate'` or `'drop'` action.
+*/
+export type ServerSentEventLimitReport = {
+	readonly option: 'maxLineLength' | 'maxEventSize' | 'maxEventsPerSecond' | 'maxBufferedEvents';
+	readonly limit: number;
+	readonly action: 'truncate' | 'drop';
+};
+
+export type ServerSentEventTransformStreamOptions = {
+	/**
+	The initial last event ID.
+
+	Useful when resuming a stream, so events keep reporting the correct `lastEventId` until the server sends a new `id:` field.
+
+	@default ''
+	*/
+	readonly lastEventId?: string;
+
+	/**
+	What to do with an event that is not terminated by a blank line when the stream ends.
+
+	- `'dispatch'` - Emit it like a complete event.
+	- `'discard'` - Drop it, as the spec requires. Use this to avoid acting on truncated data.
+	- `'error'` - Error the stream with a `ServerSentEventIncompleteError` that contains the event.
+
+	Trailing lines without data, like comments, are always ignored.
+
+	@default 'dispatch'
+	*/
+	readonly trailingEvent?: 'dispatch' | 'discard' | 'error';
+
+	/**
+	The maximum length of a line in characters.
+
+	Protects against a stream that never sends a line break. The incomplete line stops being buffered once it's certain to be too long, so memory stays bounded.
+
+	With `'drop'`, the event that contains the line is dropped.
+	*/
+	readonly maxLineLength?: ServerSentEventLimit;
+
+	/**
+	The maximum length of an event's data in characters.
+
+	Protects against a stream that never sends a blank line. The limit is checked before appending each `data:` field. With `includeExtensions`, it also applies to the extension fields of each event, counting the names and values of all of them together.
+	*/
+	readonly maxEventSize?: ServerSentEventLimit;
+
+	/**
+	The maximum number of events dispatched per second.
+
+	Does not support the `'truncate'` action.
+	*/
+	readonly maxEventsPerSecond?: ServerSentEventLimit<'error' | 'drop'>;
+
+	/**
+	Called when a limit with the `'truncate'` or `'drop'` action is exceeded.
+	*/
+	readonly onLimitExceeded?: (report: ServerSentEventLimitReport) => void;
+
+	/**
+	Emit comment lines as `ServerSentEventComment` records in between events.
+
+	Useful for observing heartbeats. Check for `'kind' in item` to tell them apart from events.
+
+	@default false
+	*/
+	readonly includeComments?: boolean;
+
+	/**
+	Attach fields not defined by the spec to each event as an `extensions` map.
+
+	@default false
+	*/
+	readonly includeExtensions?: boolean;
+
+	/**
+	Called for each line that the parser ignores as the spec requires, and for other signs of a malformed stream, like an event that was never terminated.
+
+	Useful for debugging a server, as the spec otherwise hides its mistakes.
+
+	@example
+	```
+	import {parseServerSentEvents} from 'parse-sse';
+
+	const events = parseServerSentEvents(response, {
+		onDiagnostic({code, line, text}) {
+			console.warn(`Line ${line}: ${code}`, JSON.stringify(text));
+		},
+	});
+	```
+	*/
+	readonly onDiagnostic?: (diagnostic: ServerSentEventDiagnostic) => void;
+
+	/**
+	Attach the lines each event and comment was parsed from as a `raw` property, with their position in the stream.
+
+	@default false
+	*/
+	readonly includeRaw?: boolean;
+
+	/**
+	Attach a `metadata` property to each event with its receive time, sequence number, size, and the time since the previous event.
+
+	@default false
+	*/
+	readonly includeMetadata?: boolean;
+
+	/**
+	Continue parsing the same input from a snapshot of the `state` property of a `ServerSentEventTransformStream` or `ServerSentEventByteTransformStream`, like after a process restart.
+
+	Takes precedence over `lastEventId`. When reconnecting to a server instead, the new response starts a new stream, so only pass the `lastEventId` of the snapshot.
+	*/
+	readonly state?: ServerSentEventParserState;
+};
+
+/**
+A snapshot of the parser state from the `state` property of `ServerSentEventTransformStream` and `ServerSentEventByteTransformStream`. It is plain JSON, so it can be stored with `JSON.stringify()` and passed back as the `state` option.
+
+Apart from `lastEventId` and `retry`, treat it as opaque.
+*/
+export type ServerSentEventParserState = {
+	readonly version: 1;
+
+	/**
+	The last event ID, to send as the `Last-Event-ID` header when reconnecting.
+	*/
+	readonly lastEventId: string;
+
+	/**
+	The last reconnection time in milliseconds the server sent with a `retry:` field, if any.
+	*/
+	readonly retry?: number;
+
+	/**
+	The event in progress.
+	*/
+	readonly event: {
+		readonly type: string;
+		readonly data: string;
+		readonly retry?: number;
+		readonly extensions?: ReadonlyArray<readonly [string, string]>;
+		readonly isDropped: boolean;
+		readonly isTruncated: boolean;
+		readonly isExtensionsTruncated?: boolean;
+	};
+
+	/**
+	The `raw` property of the event in progress, with `includeRaw`.
+	*/
+	readonly raw?: ServerSentEventRaw;
+
+	/**
+	The offset of the event in progress, with `includeMetadata`.
+	*/
+	readonly eventOffset?: number;
+
+	/**
+	The incomplete line at the end of the input so far, as text, or as bytes when it ends in the middle of a UTF-8 sequence.
+	*/
+	readonly buffer: {readonly text: string} | {readonly bytes: readonly number[]};
+
+	readonly isStartOfStream: boolean;
+	readonly skipLineFeed: boolean;
+
+	/**
+	The number of lines parsed so far.
+	*/
+	readonly line: number;
+
+	/**
+	The length of the input so far, in UTF-16 code units for `ServerSentEventTransformStream` and bytes for `ServerSentEventByteTransformStream`.
+	*/
+	readonly offset: number;
+
+	/**
+	The offset where the incomplete line starts.
+	*/
+	readonly lineOffset: number;
+};
+
+/**
+Error thrown when a stream exceeds one of the `maxLineLength`, `maxEventSize`, or `maxEventsPerSecond` limits with the `'error'` action, or when a `ServerSentEventHub` subscriber exceeds `maxBufferedEvents` with the `'disconnect'` policy.
+*/
+export class ServerSentEventLimitError extends Error {
+	readonly name: 'ServerSentEventLimitError';
+
+	/**
+	The name of the exceeded limit option.
+	*/
+	readonly option: 'maxLineLength' | 'maxEventSize' | 'maxEventsPerSecond' | 'maxBufferedEvents';
+
+	/**
+	The configured limit.
+	*/
+	readonly limit: number;
+}
+
+/**
+Error thrown when a stream ends with an event that was not terminated by a blank line and the `trailingEvent` option is `'error'`.
+
+@example
+```
+import {parseServerSentEvents, ServerSentEventIncompleteError} from 'parse-sse';
+
+try {
+	for await (const event of parseServerSentEvents(response, {trailingEvent: 'error'})) {
+		console.log(event.data);
+	}
+} catch (error) {
+	if (error instanceof ServerSentEventIncompleteError) {
+		console.warn('Truncated event:', error.event.data);
+	}
+}
+```
+*/
+export class ServerSentEventIncompleteError extends Error {
+	readonly name: 'ServerSentEventIncompleteError';
+
+	/**
+	The incomplete event.
+	*/
+	readonly event: ServerSentEvent;
+}
+
+/**
+TransformStream that parses Server-Sent Events.
+
+Use this for advanced stream composition or when you have a text stream that's already decoded.
+
+__Important:__ This expects string chunks as input. If you have a byte stream, use `ServerSentEventByteTransformStream` or pipe it through `TextDecoderStream` first.
+
+@example
+```
+import {ServerSentEventTransformStream} from 'parse-sse';
+
+// Custom pipeline
+myTextStream
+	.pipeThrough(new ServerSentEventTransformStream())
+	.pipeTo(myWritableStream);
+```
+
+@example
+```
+import {ServerSentEventTransformStream} from 'parse-sse';
+
+// With custom decoder
+response.body
+	.pipeThrough(new MyCustomDecoderStream())
+	.pipeThrough(new ServerSentEventTransformStream());
+```
+
+@example
+```
+import {ServerSentEventTransformStream} from 'parse-sse';
+
+// Filter events in a pipeline
+fetch(url)
+	.then(r => r.body)
+	.pipeThrough(new TextDecoderStream())
+	.pipeThrough(new ServerSentEventTransformStream())
+	.pipeThrough(new TransformStream({
+		transform(event, controller) {
+			if (event.type === 'update') {
+				controller.enqueue(event);
+			}
+		}
+	}));
+```
+*/
+export class ServerSentEventTransformStream<Output extends ServerSentEvent | ServerSentEventComment = ServerSentEvent> extends TransformStream<string, Output> {
+	constructor(options?: ServerSentEventTransformStreamOptions);
+
+	/**
+	A snapshot of the parser state as plain JSON. Pass it as the `state` option to continue parsing where this stream left off.
+	*/
+	readonly state: ServerSentEventParserState;
+
+	/**
+	Statistics about the stream so far, like the number of events and the time to the first event. Each access returns a new plain object, so it can be exported to a metrics system as is.
+	*/
+	readonly stats: ServerSentEventStats;
+}
+
+export type ParseServerSentEventsOptions = {
+	/**
+	Validate that the response is an event stream before parsing.
+
+	Rejects non-2xx statuses, a `Content-Type` other than `text/event-stream`, and a charset other than UTF-8. The returned stream errors with a `ServerSentEventResponseError`.
+
+	With the `'auto'` format, NDJSON Content-Types are accepted too. With the `'ndjson'` format, only NDJSON Content-Types are accepted.
+
+	@default false
+	*/
+	readonly validate?: boolean;
+
+	/**
+	The wire format of the response.
+
+	- `'auto'` - Parse [newline-delimited JSON](https://github.com/ndjson/ndjson-spec) (NDJSON, also known as JSON Lines) when the Content-Type is `application/x-ndjson`, `application/ndjson`, `application/jsonl`, or `application/jsonlines`, and Server-Sent Events otherwise.
+	- `'event-stream'` - Always parse Server-Sent Events.
+	- `'ndjson'` - Always parse NDJSON.
+
+	NDJSON is parsed with `ServerSentEventNdjsonTransformStream`, so each record is a `message` event with the JSON as its data.
+
+	@default 'auto'
+	*/
+	readonly format?: 'auto' | 'event-stream' | 'ndjson';
+
+	/**
+	Error the stream with a `ServerSentEventTimeoutError` when no data is received for this many milliseconds.
+
+	Any received bytes reset the timer, including comments that servers send as heartbeats. The timer only runs while you wait for the next event, so a slow consumer doesn't cause a timeout.
+
+	Useful to detect a silently stalled connection.
+	*/
+	readonly idleTimeout?: number;
+
+	/**
+	Close the stream at the terminal event and cancel the response body, which frees the connection.
+
+	- `string` - Matches an event whose data equals it, like `'[DONE]'` from OpenAI.
+	- `object` - Matches an event with the given `type` and/or `data`, like `{type: 'message_stop'}` from Anthropic.
+	- `function` - Matches an event for which it returns `true`.
+	*/
+	readonly terminator?: string | {readonly type?: string; readonly data?: string} | ((event: ServerSentEvent) => boolean);
+
+	/**
+	Emit the terminal event before closing the stream.
+
+	@default false
+	*/
+	readonly includeTerminator?: boolean;
+} & ServerSentEventTransformStreamOptions;
+
+/**
+Error thrown when no data is received for longer than the `idleTimeout` option.
+*/
+export class ServerSentEventTimeoutError extends Error {
+	readonly name: 'ServerSentEventTimeoutError';
+
+	/**
+	The configured timeout in milliseconds.
+	*/
+	readonly timeout: number;
+}
+
+/**
+Error thrown when a response is not a valid event stream.
+
+This corresponds to the spec's "fail the connection", as opposed to a network failure.
+
+@example
+```
+import {parseServerSentEvents, ServerSentEventResponseError} from 'parse-sse';
+
+try {
+	for await (const event of parseServerSentEvents(response, {validate: true})) {
+		console.log(event.data);
+	}
+} catch (error) {
+	if (error instanceof ServerSentEventResponseError) {
+		console.error(error.status, error.body);
+	}
+}
+```
+*/
+export class ServerSentEventResponseError extends Error {
+	readonly name: 'ServerSentEventResponseError';
+
+	/**
+	The HTTP status code.
+	*/
+	readonly status: number;
+
+	/**
+	The HTTP status text.
+	*/
+	readonly statusText: string;
+
+	/**
+	The response headers.
+	*/
+	readonly headers: Headers;
+
+	/**
+	The start of the response body, up to 1024 characters.
+	*/
+	readonly body: string;
+}
+
+/**
+TransformStream that parses Server-Sent Events from bytes.
+
+Scans `Uint8Array` chunks for line endings directly and decodes each byte only once, so it's faster than piping through `TextDecoderStream` first. UTF-8 sequences split across chunks and a leading byte order mark are handled.
+
+This is what `parseServerSentEvents()` uses. Use it directly to parse bytes from other sources, like Node.js streams, sockets, or WebSocket binary frames.
+
+@example
+```
+import {ServerSentEventByteTransformStream} from 'parse-sse';
+
+response.body
+	.pipeThrough(new ServerSentEventByteTransformStream())
+	.pipeTo(myWritableStream);
+```
+
+@example
+```
+import {Readable} from 'node:stream';
+import {ServerSentEventByteTransformStream} from 'parse-sse';
+
+const eventStream = Readable.toWeb(nodeReadable)
+	.pipeThrough(new ServerSentEventByteTransformStream());
+```
+*/
+export class ServerSentEventByteTransformStream<Output extends ServerSentEvent | ServerSentEventComment = ServerSentEvent> extends TransformStream<Uint8Array, Output> {
+	constructor(options?: ServerSentEventTransformStreamOptions);
+
+	/**
+	A snapshot of the parser state as plain JSON. Pass it as the `state` option to continue parsing the same input where this stream left off, with the same last event ID, reconnection time, incomplete line, and event in progress.
+
+	It covers all the input the stream has parsed, including events that are still queued for reading. After the input ends, it is the state from before the end, so parsing can continue when more input arrives.
+
+	@example
+	```
+	import fs from 'node:fs';
+	import {Readable} from 'node:stream';
+	import {ServerSentEventByteTransformStream} from 'parse-sse';
+
+	const checkpoint = fs.existsSync('checkpoint.json') ? JSON.parse(fs.readFileSync('checkpoint.json', 'utf8')) : undefined;
+	const parser = new ServerSentEventByteTransformStream({state: checkpoint, trailingEvent: 'discard'});
+	const input = Readable.toWeb(fs.createReadStream('events.sse', {start: checkpoint?.offset}));
+
+	for await (const event of input.pipeThrough(parser)) {
+		console.log(event.data);
+	}
+
+	fs.writeFileSync('checkpoint.json', JSON.stringify(parser.state));
+	```
+	*/
+	readonly state: ServerSentEventParserState;
+
+	/**
+	Statistics about the stream so far, like the number of events and the time to the first event. Each access returns a new plain object, so it can be exported to a metrics system as is.
+
+	@example
+	```
+	import {ServerSentEventByteTransformStream} from 'parse-sse';
+
+	const parser = new ServerSentEventByteTransformStream();
+
+	setInterval(() => {
+		metrics.gauge('sse.events_per_second', parser.stats.eventsPerSecond);
+	}, 10_000);
+
+	for await (const event of response.body.pipeThrough(parser)) {
+		console.log(event.data);
+	}
+	```
+	*/
+	readonly stats: ServerSentEventStats;
+}
+
+export type ServerSentEventNdjsonTransformStreamOptions = Pick<ServerSentEventTransformStreamOptions, 'lastEventId' | 'maxLineLength' | 'onLimitExceeded'>;
+
+/**
+TransformStream that parses [newline-delimited JSON](https://github.com/ndjson/ndjson-spec) (NDJSON, also known as JSON Lines) from bytes into events, for servers that stream JSON lines instead of `text/event-stream`.
+
+Each line is a `message` event with the JSON as its data, like a `data:` line, so code written for Server-Sent Events, like `ServerSentEventJsonTransformStream`, works unchanged. The JSON is not parsed. Blank lines are skipped, and the last line does not need a trailing newline.
+
+`parseServerSentEvents()` uses it for NDJSON responses.
+
+@example
+```
+import {ServerSentEventNdjsonTransformStream} from 'parse-sse';
+
+const events = response.body
+	.pipeThrough(new ServerSentEventNdjsonTransformStream());
+
+for await (const event of events) {
+	console.log(JSON.parse(event.data));
+}
+```
+*/
+export class ServerSentEventNdjsonTransformStream extends TransformStream<Uint8Array, ServerSentEvent> {
+	constructor(options?: ServerSentEventNdjsonTransformStreamOptions);
+}
+
+/**
+Parse a Server-Sent Events (SSE) stream from a Response object.
+
+Returns a ReadableStream that yields parsed events as they arrive. The stream can be consumed using async iteration (`for await...of`) or stream methods like `.pipeTo()`, `.pipeThrough()`, and `.tee()`.
+
+@param response - The Response object with a `text/event-stream` body.
+@param options - Parsing options.
+@returns A ReadableStream of parsed SSE events.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+
+const response = await fetch('https://api.example.com/events');
+
+for await (const event of parseServerSentEvents(response)) {
+	if (event.type === 'update') {
+		console.log('Update:', event.data);
+	}
+}
+```
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import ky from 'ky';
+
+const response = await ky.get('https://api.example.com/events');
+
+for await (const event of parseServerSentEvents(response)) {
+	const data = JSON.parse(event.data);
+	console.log(data);
+}
+```
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+
+// OpenAI streaming
+const response = await fetch('https://api.openai.com/v1/chat/completions', {
+	method: 'POST',
+	headers: {
+		'Content-Type': 'application/json',
+		'Authorization': `Bearer ${apiKey}`,
+	},
+	body: JSON.stringify({
+		model: 'gpt-4',
+		messages: [{role: 'user', content: 'Hello!'}],
+		stream: true,
+	}),
+});
+
+for await (const event of parseServerSentEvents(response, {terminator: '[DONE]'})) {
+	const data = JSON.parse(event.data);
+	console.log(data.choices[0]?.delta?.content);
+}
+```
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+
+// Advanced: using stream methods
+const response = await fetch('https://api.example.com/events');
+const eventStream = parseServerSentEvents(response);
+
+// Tee the stream to consume it twice
+const [stream1, stream2] = eventStream.tee();
+
+// Process both streams in parallel
+await Promise.all([
+	(async () => {
+		for await (const event of stream1) {
+			console.log('Stream 1:', event.data);
+		}
+	})(),
+	(async () => {
+		for await (const event of stream2) {
+			console.log('Stream 2:', event.data);
+		}
+	})(),
+]);
+```
+*/
+export function parseServerSentEvents(
+	response: Response,
+	options: ParseServerSentEventsOptions & {readonly includeComments: true},
+): ReadableStream<ServerSentEvent | ServerSentEventComment>;
+export function parseServerSentEvents(
+	response: Response,
+	options?: ParseServerSentEventsOptions,
+): ReadableStream<ServerSentEvent>;
+
+/**
+Parse Server-Sent Events (SSE) from a string, like a recorded `.sse` file or a test fixture.
+
+Uses the same parser as the streams, so the events are identical to parsing the text as a stream.
+
+@param text - The Server-Sent Events text.
+@returns The parsed events.
+
+@example
+```
+import {parseServerSentEventsSync} from 'parse-sse';
+
+const events = parseServerSentEventsSync('event: update\ndata: {"progress":50}\n\n');
+//=> [{type: 'update', data: '{"progress":50}', lastEventId: '', retry: undefined}]
+```
+*/
+export function parseServerSentEventsSync(
+	text: string,
+	options: Omit<ServerSentEventTransformStreamOptions, 'state'> & {readonly includeComments: true},
+): Array<ServerSentEvent | ServerSentEventComment>;
+export function parseServerSentEventsSync(
+	text: string,
+	options?: Omit<ServerSentEventTransformStreamOptions, 'state'>,
+): ServerSentEvent[];
+
+/**
+A source of Server-Sent Events text or bytes for `parseServerSentEventsFrom()`.
+*/
+export type ServerSentEventSource =
+	| string
+	| Uint8Array
+	| Blob
+	| Iterable<string | Uint8Array>
+	| AsyncIterable<string | Uint8Array>
+	| ReadableStream<string | Uint8Array>;
+
+export type ServerSentEventFromOptions = {
+	/**
+	The wire format of the source. With `'ndjson'`, each line of [newline-delimited JSON](https://github.com/ndjson/ndjson-spec) is a `message` event with the JSON as its data.
+
+	@default 'event-stream'
+	*/
+	readonly format?: 'event-stream' | 'ndjson';
+} & ServerSentEventTransformStreamOptions;
+
+/**
+Parse Server-Sent Events (SSE) from a string, Blob, or a stream or iterable of strings or bytes, without wrapping it in a `Response`.
+
+Chunks can mix strings and bytes. Bytes are decoded as UTF-8. For files, use `parseServerSentEventsFromFile()` from `parse-sse/node`.
+
+@param source - The Server-Sent Events text or bytes.
+@returns A stream of parsed SSE events.
+
+@example
+```
+import {parseServerSentEventsFrom} from 'parse-sse';
+
+const blob = await (await fetch('https://example.com/recording.sse')).blob();
+
+for await (const event of parseServerSentEventsFrom(blob)) {
+	console.log(event.data);
+}
+```
+*/
+export function parseServerSentEventsFrom(
+	source: ServerSentEventSource,
+	options: ServerSentEventFromOptions & {readonly includeComments: true},
+): ReadableStream<ServerSentEvent | ServerSentEventComment>;
+export function parseServerSentEventsFrom(
+	source: ServerSentEventSource,
+	options?: ServerSentEventFromOptions,
+): ReadableStream<ServerSentEvent>;
+
+export type ServerSentEventRequest = {
+	/**
+	Headers to include in the request.
+
+	Contains `Last-Event-ID` when reconnecting after an ID was received, including from a block without data.
+	*/
+	headers: Record<string, string>;
+
+	/**
+	The last event ID received, or an empty string.
+	*/
+	lastEventId: string;
+
+	/**
+	Aborted when the stream is cancelled or the `signal` option is aborted. Pass it to `fetch()`.
+	*/
+	signal: AbortSignal;
+};
+
+export type ServerSentEventStreamOptions = {
+	/**
+	Stop the stream and abort the current request.
+
+	The stream errors with the signal's reason.
+	*/
+	readonly signal?: AbortSignal;
+
+	/**
+	The maximum number of consecutive reconnection attempts without receiving an event.
+
+	When exceeded, the stream errors with the last error, if any.
+
+	@default Infinity
+	*/
+	readonly maxRetries?: number;
+
+	/**
+	The initial delay in milliseconds before reconnecting.
+
+	The delay doubles with each consecutive failed attempt, with random jitter applied. A `retry:` field from the server replaces this value.
+
+	@default 1000
+	*/
+	readonly retryDelay?: number;
+
+	/**
+	The maximum delay in milliseconds between reconnection attempts.
+
+	@default 30000
+	*/
+	readonly maxRetryDelay?: number;
+
+	/**
+	The last event ID to resume from on the first request.
+
+	@default ''
+	*/
+	readonly lastEventId?: string;
+
+	/**
+	Validate that each response is an event stream.
+
+	An invalid response, like a 401 or an HTML error page, fails the connection permanently and the stream errors with a `ServerSentEventResponseError`.
+
+	@default true
+	*/
+	readonly validate?: boolean;
+
+	/**
+	What to do with an incomplete event when a connection ends. See `ServerSentEventTransformStreamOptions#trailingEvent`.
+
+	Defaults to discarding it, like `EventSource`, so the server can send it again after reconnecting.
+
+	@default 'discard'
+	*/
+	readonly trailingEvent?: 'dispatch' | 'discard' | 'error';
+} & Omit<ParseServerSentEventsOptions, 'lastEventId' | 'trailingEvent' | 'validate' | 'state'>;
+
+/**
+Create a continuous stream of Server-Sent Events that automatically reconnects, like `EventSource`.
+
+The `requestFactory` is called for the initial connection and for each reconnect. When the connection closes or fails, it is called again with a `Last-Event-ID` header so the server can resume where it left off. The server can stop reconnection by responding with HTTP 204 No Content. An invalid response stops reconnection and errors the stream.
+
+@param requestFactory - Performs the request and returns a `Response`.
+@returns A ReadableStream of parsed SSE events spanning all connections.
+
+@example
+```
+import {createServerSentEventStream} from 'parse-sse';
+
+const stream = createServerSentEventStream(({headers, signal}) => fetch('https://api.example.com/events', {
+	headers: {
+		...headers,
+		Authorization: `Bearer ${token}`,
+	},
+	signal,
+}));
+
+for await (const event of stream) {
+	console.log(event.data);
+}
+```
+*/
+export function createServerSentEventStream(
+	requestFactory: (request: ServerSentEventRequest) => Response | Promise<Response>,
+	options: ServerSentEventStreamOptions & {readonly includeComments: true},
+): ReadableStream<ServerSentEvent | ServerSentEventComment>;
+export function createServerSentEventStream(
+	requestFactory: (request: ServerSentEventRequest) => Response | Promise<Response>,
+	options?: ServerSentEventStreamOptions,
+): ReadableStream<ServerSentEvent>;
+
+/**
+Handlers by event type for `routeServerSentEvents()`. The `'*'` handler receives the events of all types without their own handler.
+*/
+export type ServerSentEventRoutes = Readonly<Record<string, (event: ServerSentEvent) => unknown>>;
+
+/**
+Call a handler for each event based on its type, instead of branching on `event.type` in a loop.
+
+Handlers are awaited one at a time, so a slow handler slows down reading. Events without a matching handler and comment records are skipped. If a handler throws, the stream is cancelled and the returned promise rejects.
+
+@param events - A stream of events from `parseServerSentEvents()`.
+@param handlers - Handlers by event type. The `'*'` handler receives events without their own handler.
+@returns Resolves when the stream ends.
+
+@example
+```
+import {parseServerSentEvents, routeServerSentEvents} from 'parse-sse';
+
+await routeServerSentEvents(parseServerSentEvents(response), {
+	async update(event) {
+		await saveUpdate(JSON.parse(event.data));
+	},
+	'*'(event) {
+		console.log('Unhandled event type:', event.type);
+	},
+});
+```
+*/
+export function routeServerSentEvents(
+	events: ReadableStream<ServerSentEvent | ServerSentEventComment>,
+	handlers: ServerSentEventRoutes,
+): Promise<void>;
+
+/**
+Split a stream of events into a stream per event type, so different parts of an app can consume only the events they care about.
+
+Each stream has its own backpressure. The source is only read when a stream is read, and events for the other streams are queued until they are read. A stream that is never read or cancelled therefore buffers all its events.
+
+Events without a stream and comment records are dropped. Cancelling a stream drops its events. Cancelling all of them cancels the source.
+
+@param events - A stream of events from `parseServerSentEvents()`.
+@param types - The event types to split out. A `'*'` type receives the events of all other types.
+@returns A stream for each type.
+
+@example
+```
+import {parseServerSentEvents, splitServerSentEvents} from 'parse-sse';
+
+const {update, delete: deletions} = splitServerSentEvents(parseServerSentEvents(response), ['update', 'delete']);
+
+await Promise.all([
+	(async () => {
+		for await (const event of update) {
+			console.log('Updated:', event.data);
+		}
+	})(),
+	(async () => {
+		for await (const event of deletions) {
+			console.log('Deleted:', event.data);
+		}
+	})(),
+]);
+```
+*/
+export function splitServerSentEvents<const Type extends string>(
+	events: ReadableStream<ServerSentEvent | ServerSentEventComment>,
+	types: readonly Type[],
+): Record<Type, ReadableStream<ServerSentEvent>>;
+
+export type ServerSentEventHubOptions = {
+	/**
+	The number of most recent events to keep for subscribers that join later. Comment records are not kept.
+
+	@default 0
+	*/
+	readonly replay?: number;
+};
+
+export type ServerSentEventSubscribeOptions = {
+	/**
+	Only replay the kept events after the event with this ID, like a reconnecting `EventSource` that sends the `Last-Event-ID` header.
+
+	If no kept event has this ID, all kept events are replayed, as there is no telling which events were missed.
+
+	By default, all kept events are replayed.
+	*/
+	readonly lastEventId?: string;
+
+	/**
+	What to do when the subscriber reads slower than events arrive and more than `maxBufferedEvents` events are waiting for it.
+
+	- `'buffer'` - Keep all events in memory.
+	- `'drop-oldest'` - Drop the oldest waiting event.
+	- `'disconnect'` - Error the subscriber stream with a `ServerSentEventLimitError` and unsubscribe it.
+
+	Replayed events count as waiting events.
+
+	@default 'buffer'
+	*/
+	readonly overflow?: 'buffer' | 'drop-oldest' | 'disconnect';
+
+	/**
+	The number of waiting events allowed before the `overflow` policy applies. Ignored for `'buffer'`.
+
+	@default 100
+	*/
+	readonly maxBufferedEvents?: number;
+};
+
+/**
+Share one stream of events between any number of subscribers that can join and leave at any time, unlike `.tee()`, which has two fixed branches that must both keep up.
+
+The upstream is read as fast as it delivers events, and each subscriber gets its own queue, so a slow subscriber does not hold up the others. The `overflow` option of `subscribe()` decides what happens when a queue grows too large.
+
+When the last subscriber leaves, the upstream is cancelled. If the source is a function, it is called to open a new upstream when the next subscriber joins, and again after the upstream ends or errors. A stream source can only be read once, so later subscribers only receive the replayed events before their stream closes.
+
+@example
+```
+import {createServerSentEventStream, ServerSentEventHub} from 'parse-sse';
+
+const hub = new ServerSentEventHub(
+	() => createServerSentEventStream(({headers, signal}) => fetch('https://api.example.com/events', {headers, signal})),
+	{replay: 10},
+);
+
+// Each component subscribes on its own, sharing one connection
+for await (const event of hub.subscribe({overflow: 'drop-oldest'})) {
+	console.log(event.data);
+}
+```
+*/
+export class ServerSentEventHub<Item extends ServerSentEvent | ServerSentEventComment = ServerSentEvent> {
+	/**
+	@param source - A stream of events, or a function that opens one, like `() => parseServerSentEvents(response)` or `() => createServerSentEventStream(requestFactory)`.
+	*/
+	constructor(source: ReadableStream<Item> | (() => ReadableStream<Item>), options?: ServerSentEventHubOptions);
+
+	/**
+	The number of current subscribers.
+	*/
+	readonly subscriberCount: number;
+
+	/**
+	Subscribe to the events.
+
+	The stream starts with the replayed events, followed by new events as they arrive. Cancel the stream to unsubscribe. It closes when the upstream ends or the hub is closed, and errors when the upstream errors.
+	*/
+	subscribe(options?: ServerSentEventSubscribeOptions): ReadableStream<Item>;
+
+	/**
+	Cancel the upstream and close all subscriber streams after their waiting events. Later subscribers only receive the replayed events.
+	*/
+	close(): void;
+}
+
+export type ServerSentEventBatchStreamOptions<Item extends ServerSentEvent = ServerSentEvent> = {
+	/**
+	Emit a batch once it has this many events.
+
+	@default Infinity
+	*/
+	readonly maxSize?: number;
+
+	/**
+	Emit a batch this many milliseconds after its first event arrived.
+	*/
+	readonly interval?: number;
+
+	/**
+	Emit a batch when the callback passed to this function is called. It is called when the first event of a batch arrives. Use it to batch per animation frame with `requestAnimationFrame`.
+
+	Cannot be combined with `interval`.
+	*/
+	readonly schedule?: (callback: () => void) => unknown;
+
+	/**
+	Only keep the latest event per key in a batch, like the latest price per symbol.
+
+	- `'type'` - Key events by their type.
+	- A function - Key events by what it returns, like a property of the parsed data.
+
+	Events in a batch are ordered by when their latest event arrived, so the last event of a batch is always the last event received, and its `lastEventId` is the last event ID of the stream.
+	*/
+	readonly coalesce?: 'type' | ((event: Item) => unknown);
+};
+
+/**
+TransformStream that groups events into arrays, to handle a fast stream in fewer steps, like updating a UI once per batch instead of once per event.
+
+A batch is emitted when it reaches `maxSize` events, when the `interval` or `schedule` fires, and when the stream ends. At least one of them is required. Empty batches are not emitted, and comment records are dropped.
+
+@example
+```
+import {parseServerSentEvents, ServerSentEventBatchStream} from 'parse-sse';
+
+// Render tokens at most once per animation frame
+const batches = parseServerSentEvents(response)
+	.pipeThrough(new ServerSentEventBatchStream({schedule: requestAnimationFrame}));
+
+for await (const events of batches) {
+	output.textContent += events.map(event => event.data).join('');
+}
+```
+
+@example
+```
+import {parseServerSentEvents, ServerSentEventBatchStream} from 'parse-sse';
+
+// Only the latest quote per symbol, every 100 ms
+const batches = parseServerSentEvents(response)
+	.pipeThrough(new ServerSentEventBatchStream({
+		interval: 100,
+		coalesce: event => JSON.parse(event.data).symbol,
+	}));
+```
+*/
+export class ServerSentEventBatchStream<Item extends ServerSentEvent = ServerSentEvent> extends TransformStream<Item | ServerSentEventComment, Item[]> {
+	constructor(options: ServerSentEventBatchStreamOptions<Item>);
+}
+
+export type FetchEventSourceInit = Omit<RequestInit, 'signal'> & {
+	/**
+	Send credentials like cookies with cross-origin requests, like the `EventSource` option. Ignored when `credentials` is set.
+
+	@default false
+	*/
+	readonly withCredentials?: boolean;
+
+	/**
+	The `fetch` implementation to use.
+
+	@default globalThis.fetch
+	*/
+	readonly fetch?: (url: string, init: RequestInit) => Promise<Response>;
 };
 
+type FetchEventSourceHandler<EventType extends Event> = ((this: FetchEventSource, event: EventType) => unknown) | null; // eslint-disable-line @typescript-eslint/no-restricted-types
+
 /**
-TransformStream that parses Server-Sent Events.
+A drop-in replacement for [`EventSource`](https://developer.mozilla.org/en-US/docs/Web/API/EventSource) that connects with `fetch`, so it supports custom methods, headers, and bodies.
 
-Use this for advanced stream composition or when you have a text stream that's already decoded.
+It follows the `EventSource` reconnection rules:
+- A network error or closed connection fires `error` with `readyState` set to `CONNECTING`, and reconnects after the reconnection time, which the server can change with the `retry` field. The last event ID is sent as the `Last-Event-ID` header.
+- A response that is not `200` with a `text/event-stream` Content-Type fires `error` with `readyState` set to `CLOSED`, and does not reconnect.
 
-__Important:__ This expects string chunks as input. If you have a byte stream, pipe it through `TextDecoderStream` first.
+Events are dispatched as `MessageEvent` objects named after their event type.
 
 @example
 ```
-import {ServerSentEventTransformStream} from 'parse-sse';
+import {FetchEventSource} from 'parse-sse';
 
-// Custom pipeline
-myTextStream
-	.pipeThrough(new ServerSentEventTransformStream())
-	.pipeTo(myWritableStream);
+const eventSource = new FetchEventSource('https://api.example.com/events', {
+	method: 'POST',
+	headers: {Authorization: `Bearer ${token}`},
+	body: JSON.stringify({topic: 'news'}),
+});
+
+eventSource.onmessage = event => {
+	console.log(event.data);
+};
+
+eventSource.addEventListener('update', event => {
+	console.log(event.lastEventId, event.data);
+});
 ```
+*/
+export class FetchEventSource extends EventTarget {
+	/* eslint-disable @typescript-eslint/naming-convention -- Matches the `EventSource` interface */
+	static readonly CONNECTING: 0;
+	static readonly OPEN: 1;
+	static readonly CLOSED: 2;
+
+	readonly CONNECTING: 0;
+	readonly OPEN: 1;
+	readonly CLOSED: 2;
+	/* eslint-enable @typescript-eslint/naming-convention */
+
+	/**
+	The resolved URL.
+	*/
+	readonly url: string;
+
+	readonly withCredentials: boolean;
+
+	/**
+	The connection state: `CONNECTING`, `OPEN`, or `CLOSED`.
+	*/
+	readonly readyState: 0 | 1 | 2;
+
+	onopen: FetchEventSourceHandler<Event>;
+	onmessage: FetchEventSourceHandler<MessageEvent<string>>;
+	onerror: FetchEventSourceHandler<Event>;
+
+	constructor(url: string | URL, init?: FetchEventSourceInit);
+
+	/**
+	Close the connection and stop reconnecting.
+	*/
+	close(): void;
+}
+
+/**
+An event to format as Server-Sent Events text.
+
+A parsed `ServerSentEvent` is accepted as is.
+*/
+export type ServerSentEventInit = {
+	/**
+	The event type. Omitted when `'message'`, as that's the default.
+	*/
+	readonly type?: string;
+
+	/**
+	The event data. Each line is written as a separate `data:` field.
+	*/
+	readonly data?: string;
+
+	/**
+	The event ID. An empty string resets the last event ID.
+
+	Must not contain line breaks or NULL characters.
+	*/
+	readonly id?: string;
+
+	/**
+	Used as the event ID when `id` is not set, so parsed events can be formatted again.
+	*/
+	readonly lastEventId?: string;
+
+	/**
+	The reconnection time in milliseconds.
+	*/
+	readonly retry?: number;
+
+	/**
+	A comment to write before the event fields.
+	*/
+	readonly comment?: string;
+};
+
+/**
+Format an event as Server-Sent Events text.
+
+The inverse of parsing. Multi-line data is split into multiple `data:` fields. A `ServerSentEventComment` is formatted as comment lines without a terminating blank line.
+
+@param event - The event to format.
+@returns The `text/event-stream` text, terminated by a blank line.
+
+@throws {TypeError} If `id` contains line breaks or NULL characters, `type` contains line breaks, or `retry` is not a non-negative integer.
 
 @example
 ```
-import {ServerSentEventTransformStream} from 'parse-sse';
+import {formatServerSentEvent} from 'parse-sse';
 
-// With custom decoder
-response.body
-	.pipeThrough(new MyCustomDecoderStream())
-	.pipeThrough(new ServerSentEventTransformStream());
+formatServerSentEvent({type: 'update', data: 'line 1\nline 2', id: '1'});
+//=> 'event: update\nid: 1\ndata: line 1\ndata: line 2\n\n'
+
+formatServerSentEvent({kind: 'comment', text: 'heartbeat'});
+//=> ': heartbeat\n'
 ```
+*/
+export function formatServerSentEvent(event: ServerSentEventInit | ServerSentEventComment): string;
+
+/**
+TransformStream that encodes events as Server-Sent Events bytes.
+
+The inverse of `ServerSentEventTransformStream`. Parsed events can be re-encoded as is: their `lastEventId` is only written when it changes.
 
 @example
 ```
-import {ServerSentEventTransformStream} from 'parse-sse';
+import {ServerSentEventEncoderStream} from 'parse-sse';
 
-// Filter events in a pipeline
-fetch(url)
-	.then(r => r.body)
-	.pipeThrough(new TextDecoderStream())
-	.pipeThrough(new ServerSentEventTransformStream())
-	.pipeThrough(new TransformStream({
-		transform(event, controller) {
-			if (event.type === 'update') {
-				controller.enqueue(event);
-			}
-		}
-	}));
+const body = ReadableStream.from([
+	{data: 'hello'},
+	{type: 'update', data: '{"progress":50}', id: '1'},
+]).pipeThrough(new ServerSentEventEncoderStream());
 ```
 */
-export class ServerSentEventTransformStream extends TransformStream<string, ServerSentEvent> {
+export class ServerSentEventEncoderStream extends TransformStream<ServerSentEventInit | ServerSentEventComment, Uint8Array> {
 	constructor();
 }
 
+export type ServerSentEventResponseOptions = {
+	/**
+	Send a `: keep-alive` comment when no event was sent for this many milliseconds.
+
+	Prevents proxies and load balancers from closing an idle connection. Set to `0` to disable.
+
+	@default 15000
+	*/
+	readonly keepAliveInterval?: number;
+
+	/**
+	Additional response headers.
+
+	`Content-Type: text/event-stream; charset=utf-8` and `Cache-Control: no-cache` are set unless specified.
+	*/
+	readonly headers?: HeadersInit;
+
+	/**
+	@default 200
+	*/
+	readonly status?: number;
+
+	readonly statusText?: string;
+};
+
 /**
-Parse a Server-Sent Events (SSE) stream from a Response object.
+Create a `Response` that streams events as Server-Sent Events.
 
-Returns a ReadableStream that yields parsed events as they arrive. The stream can be consumed using async iteration (`for await...of`) or stream methods like `.pipeTo()`, `.pipeThrough()`, and `.tee()`.
+Works with any runtime that has the Fetch API `Response`, like Node.js, Deno, Bun, and workers. Cancelling the response body, for example when the client disconnects, stops the source.
 
-@param response - The Response object with a `text/event-stream` body.
-@returns A ReadableStream of parsed SSE events.
+@param source - The events to send. Accepts the same objects as `formatServerSentEvent()`.
+@returns A response with a `text/event-stream` body.
 
 @example
 ```
-import {parseServerSentEvents} from 'parse-sse';
+import {createServerSentEventResponse} from 'parse-sse';
 
-const response = await fetch('https://api.example.com/events');
-
-for await (const event of parseServerSentEvents(response)) {
-	if (event.type === 'update') {
-		console.log('Update:', event.data);
+async function * generateEvents() {
+	for (let progress = 0; progress <= 100; progress += 10) {
+		yield {type: 'progress', data: String(progress)};
+		await new Promise(resolve => setTimeout(resolve, 1000));
 	}
 }
+
+export default {
+	fetch() {
+		return createServerSentEventResponse(generateEvents());
+	},
+};
 ```
+*/
+export function createServerSentEventResponse(
+	source: AsyncIterable<ServerSentEventInit | ServerSentEventComment> | Iterable<ServerSentEventInit | ServerSentEventComment> | ReadableStream<ServerSentEventInit | ServerSentEventComment>,
+	options?: ServerSentEventResponseOptions,
+): Response;
+
+/**
+A chunk in a `ServerSentEventRecording`.
+
+A chunk that is valid UTF-8 on its own is stored as `text`. Otherwise, like a chunk that ends in the middle of a multibyte character, it's stored as `bytes`.
+*/
+export type ServerSentEventRecordedChunk = {
+	/**
+	Milliseconds since the recording started.
+	*/
+	time: number;
+} & ({text: string} | {bytes: number[]});
+
+/**
+A recording of a Server-Sent Events stream from `ServerSentEventRecorderStream`. It can be serialized with `JSON.stringify()`.
+*/
+export type ServerSentEventRecording = {
+	version: 1;
+	chunks: ServerSentEventRecordedChunk[];
+
+	/**
+	The events the chunks parse to, for comparing against in regression tests.
+	*/
+	events: Array<ServerSentEvent | ServerSentEventComment>;
+};
+
+/**
+TransformStream that passes chunks through unchanged while recording them with their timing.
+
+Use it to capture exactly how chunks arrived from a flaky integration, then replay them with `createServerSentEventReplayResponse()` in a regression test.
+
+Accepts the same options as `ServerSentEventTransformStream`, which are used to parse the `events` of the recording.
 
 @example
 ```
-import {parseServerSentEvents} from 'parse-sse';
-import ky from 'ky';
+import fs from 'node:fs/promises';
+import {parseServerSentEvents, ServerSentEventRecorderStream} from 'parse-sse';
 
-const response = await ky.get('https://api.example.com/events');
+const recorder = new ServerSentEventRecorderStream();
+const body = response.body.pipeThrough(recorder);
 
-for await (const event of parseServerSentEvents(response)) {
-	const data = JSON.parse(event.data);
-	console.log(data);
+for await (const event of parseServerSentEvents(new Response(body, response))) {
+	console.log(event.data);
 }
+
+await fs.writeFile('recording.json', JSON.stringify(recorder.recording));
 ```
+*/
+export class ServerSentEventRecorderStream<Chunk extends string | Uint8Array = Uint8Array> extends TransformStream<Chunk, Chunk> {
+	constructor(options?: ServerSentEventTransformStreamOptions);
+
+	/**
+	The chunks recorded so far with the events they parse to.
+	*/
+	get recording(): ServerSentEventRecording;
+}
+
+export type ServerSentEventReplayOptions = {
+	/**
+	Replay faster or slower than recorded. For example, `2` halves the delays. Use `Number.POSITIVE_INFINITY` to replay without delays.
+
+	@default 1
+	*/
+	readonly speed?: number;
+
+	/**
+	Additional response headers.
+
+	`Content-Type: text/event-stream; charset=utf-8` and `Cache-Control: no-cache` are set unless specified.
+	*/
+	readonly headers?: HeadersInit;
+
+	/**
+	@default 200
+	*/
+	readonly status?: number;
+
+	readonly statusText?: string;
+};
+
+/**
+Create a `Response` that replays the chunks of a recording with the same boundaries and timing.
+
+The timing is relative to when the body is first read.
+
+@param recording - A recording from `ServerSentEventRecorderStream`.
+@returns A response with a `text/event-stream` body.
 
 @example
 ```
-import {parseServerSentEvents} from 'parse-sse';
+import fs from 'node:fs/promises';
+import {parseServerSentEvents, createServerSentEventReplayResponse} from 'parse-sse';
 
-// OpenAI streaming
-const response = await fetch('https://api.openai.com/v1/chat/completions', {
-	method: 'POST',
-	headers: {
-		'Content-Type': 'application/json',
-		'Authorization': `Bearer ${apiKey}`,
-	},
-	body: JSON.stringify({
-		model: 'gpt-4',
-		messages: [{role: 'user', content: 'Hello!'}],
-		stream: true,
-	}),
-});
+const recording = JSON.parse(await fs.readFile('recording.json', 'utf8'));
+const response = createServerSentEventReplayResponse(recording, {speed: Number.POSITIVE_INFINITY});
 
 for await (const event of parseServerSentEvents(response)) {
-	if (event.data === '[DONE]') {
-		break;
-	}
+	console.log(event.data);
+}
+```
+*/
+export function createServerSentEventReplayResponse(recording: ServerSentEventRecording, options?: ServerSentEventReplayOptions): Response;
 
-	const data = JSON.parse(event.data);
-	console.log(data.choices[0]?.delta?.content);
+/**
+Validators keyed by event type. Each receives the parsed JSON and returns whether it's valid. Use type guards to infer the type of `json`.
+*/
+export type ServerSentEventJsonValidators = Record<string, (value: unknown, event: ServerSentEvent) => boolean>;
+
+type ValidatedJson<Validator> = Validator extends (value: unknown, ...arguments_: any[]) => value is infer Json ? Json : unknown;
+
+/**
+A parsed Server-Sent Event with its data parsed as JSON.
+
+With validators, this is a union discriminated by `type`, with `json` inferred from each validator's type guard.
+*/
+export type JsonServerSentEvent<Validators extends ServerSentEventJsonValidators | undefined = undefined> = Validators extends ServerSentEventJsonValidators
+	? {[Type in keyof Validators & string]: ServerSentEvent & {
+		type: Type;
+		json: ValidatedJson<Validators[Type]>;
+		error?: undefined;
+	}}[keyof Validators & string]
+	: ServerSentEvent & {
+		json: unknown;
+		error?: undefined;
+	};
+
+/**
+An event whose data is not valid JSON or fails validation, emitted when there's no `onError` callback.
+*/
+export type ServerSentEventJsonErrorEvent = ServerSentEvent & {
+	json: undefined;
+	error: ServerSentEventJsonError;
+};
+
+/**
+Error for an event whose data is not valid JSON or fails validation.
+*/
+export class ServerSentEventJsonError extends Error {
+	readonly name: 'ServerSentEventJsonError';
+
+	/**
+	The event that failed.
+	*/
+	readonly event: ServerSentEvent;
 }
+
+export type ServerSentEventJsonOptions<Validators extends ServerSentEventJsonValidators | undefined = undefined> = {
+	/**
+	Validators keyed by event type.
+
+	Each receives the parsed JSON and the event, and returns whether it's valid. A validator that throws counts as a failure, with the thrown error as `cause`. When specified, events of types without a validator fail too.
+
+	Use [type guards](https://www.typescriptlang.org/docs/handbook/2/narrowing.html#using-type-predicates) to infer the type of `json` for each event type.
+	*/
+	readonly validators?: Validators;
+
+	/**
+	Called with a `ServerSentEventJsonError` for each event whose data is not valid JSON or fails validation. The event is then skipped.
+
+	Without this, such events are emitted with an `error` property and `json` set to `undefined`.
+	*/
+	readonly onError?: (error: ServerSentEventJsonError) => void;
+};
+
+/**
+TransformStream that parses the data of each event as JSON.
+
+Adds a `json` property to each event. Failures don't error the stream. See `ServerSentEventJsonOptions` for how they are reported. Comment records pass through unchanged.
+
+@example
+```
+import {parseServerSentEvents, ServerSentEventJsonTransformStream} from 'parse-sse';
+
+const events = parseServerSentEvents(response)
+	.pipeThrough(new ServerSentEventJsonTransformStream({onError: console.error}));
 ```
+*/
+export class ServerSentEventJsonTransformStream<Validators extends ServerSentEventJsonValidators | undefined = undefined> extends TransformStream<
+	ServerSentEvent,
+	JsonServerSentEvent<Validators> | ServerSentEventJsonErrorEvent
+> {
+	constructor(options?: ServerSentEventJsonOptions<Validators>);
+}
+
+/**
+Parse a Server-Sent Events (SSE) stream from a Response object, parsing the data of each event as JSON.
+
+A malformed or invalid event doesn't error the stream. It's passed to `onError`, or emitted with an `error` property when there's no `onError`.
+
+@param response - The Response object with a `text/event-stream` body.
+@returns A ReadableStream of parsed SSE events with a `json` property.
 
 @example
 ```
-import {parseServerSentEvents} from 'parse-sse';
+import {parseJsonServerSentEvents} from 'parse-sse';
 
-// Advanced: using stream methods
-const response = await fetch('https://api.example.com/events');
-const eventStream = parseServerSentEvents(response);
+type Progress = {percent: number};
 
-// Tee the stream to consume it twice
-const [stream1, stream2] = eventStream.tee();
+const isProgress = (value: unknown): value is Progress => typeof (value as Progress)?.percent === 'number';
 
-// Process both streams in parallel
-await Promise.all([
-	(async () => {
-		for await (const event of stream1) {
-			console.log('Stream 1:', event.data);
-		}
-	})(),
-	(async () => {
-		for await (const event of stream2) {
-			console.log('Stream 2:', event.data);
-		}
-	})(),
-]);
+const events = parseJsonServerSentEvents(response, {
+	validators: {
+		progress: isProgress,
+		done: (value: unknown): value is null => value === null,
+	},
+	onError(error) {
+		console.warn('Skipping event:', error.message, error.event.data);
+	},
+});
+
+for await (const event of events) {
+	if (event.type === 'progress') {
+		console.log(event.json.percent);
+	}
+}
 ```
 */
-export function parseServerSentEvents(
+export function parseJsonServerSentEvents<const Validators extends ServerSentEventJsonValidators | undefined = undefined>(
 	response: Response,
-): ReadableStream<ServerSentEvent>;
+	options: ParseServerSentEventsOptions & ServerSentEventJsonOptions<Validators> & {readonly onError: (error: ServerSentEventJsonError) => void},
+): ReadableStream<JsonServerSentEvent<Validators>>;
+export function parseJsonServerSentEvents<const Validators extends ServerSentEventJsonValidators | undefined = undefined>(
+	response: Response,
+	options?: ParseServerSentEventsOptions & ServerSentEventJsonOptions<Validators>,
+): ReadableStream<JsonServerSentEvent<Validators> | ServerSentEventJsonErrorEvent>;
@@ -0,0 +1,111 @@
+import {parseServerSentEvents} from './parse.js';
+
+/**
+Error for an event whose data is not valid JSON or fails validation.
+*/
+export class ServerSentEventJsonError extends Error {
+	name = 'ServerSentEventJsonError';
+
+	constructor(message, event, options) {
+		super(message, options);
+		this.event = event;
+	}
+}
+
+function decodeJson(event, validators) {
+	let json;
+	try {
+		json = JSON.parse(event.data);
+	} catch (error) {
+		throw new ServerSentEventJsonError('Event data is not valid JSON', event, {cause: error});
+	}
+
+	if (!validators) {
+		return json;
+	}
+
+	const validator = Object.hasOwn(validators, event.type) ? validators[event.type] : undefined;
+	if (!validator) {
+		throw new ServerSentEventJsonError(`No validator for event type \`${event.type}\``, event);
+	}
+
+	let isValid;
+	try {
+		isValid = validator(json, event);
+	} catch (error) {
+		throw new ServerSentEventJsonError(`Event data of type \`${event.type}\` failed validation`, event, {cause: error});
+	}
+
+	if (!isValid) {
+		throw new ServerSentEventJsonError(`Event data of type \`${event.type}\` failed validation`, event);
+	}
+
+	return json;
+}
+
+/**
+TransformStream that parses the data of each event as JSON.
+
+@example
+```
+import {parseServerSentEvents, ServerSentEventJsonTransformStream} from 'parse-sse';
+
+const events = parseServerSentEvents(response)
+	.pipeThrough(new ServerSentEventJsonTransformStream());
+```
+*/
+export class ServerSentEventJsonTransformStream extends TransformStream {
+	constructor(options = {}) {
+		const {validators, onError} = options;
+
+		if (validators !== undefined && (typeof validators !== 'object' || validators === null)) {
+			throw new TypeError('Expected `validators` to be an object');
+		}
+
+		super({
+			transform(event, controller) {
+				if (event.kind === 'comment') {
+					controller.enqueue(event);
+					return;
+				}
+
+				let json;
+				try {
+					json = decodeJson(event, validators);
+				} catch (error) {
+					// A single malformed event should not tear down the stream
+					if (onError) {
+						onError(error);
+					} else {
+						controller.enqueue({...event, json: undefined, error});
+					}
+
+					return;
+				}
+
+				controller.enqueue({...event, json});
+			},
+		});
+	}
+}
+
+/**
+Parse a Server-Sent Events (SSE) stream from a Response object, parsing the data of each event as JSON.
+
+@param {Response} response - The Response object with a `text/event-stream` body.
+@param {object} [options]
+@returns {ReadableStream<object>} A stream of parsed SSE events with a `json` property.
+
+@example
+```
+import {parseJsonServerSentEvents} from 'parse-sse';
+
+for await (const event of parseJsonServerSentEvents(response, {onError: console.error})) {
+	console.log(event.json);
+}
+```
+*/
+export function parseJsonServerSentEvents(response, options = {}) {
+	return parseServerSentEvents(response, options)
+		.pipeThrough(new ServerSentEventJsonTransformStream(options));
+}
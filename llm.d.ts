@@ -0,0 +1,270 @@
+/* eslint-disable @typescript-eslint/no-restricted-types -- These types mirror the JSON of the vendor APIs, which use `null`. */
+import type {ServerSentEvent, ServerSentEventComment} from './index.js';
+
+/**
+A tool call in an OpenAI chat completion.
+*/
+export type OpenAiToolCall = {
+	id: string;
+	type: string;
+	function: {
+		name: string;
+
+		/**
+		The arguments as a JSON string, exactly as the model produced them. They may not be valid JSON.
+		*/
+		arguments: string;
+	};
+};
+
+/**
+The delta of a choice in an OpenAI chat completion chunk.
+*/
+export type OpenAiChatCompletionDelta = {
+	[key: string]: unknown;
+	role?: string;
+	content?: string | null;
+	refusal?: string | null;
+	tool_calls?: Array<{
+		index: number;
+		id?: string;
+		type?: string;
+		function?: {
+			name?: string;
+			arguments?: string;
+		};
+	}>;
+};
+
+/**
+A chunk of an OpenAI Chat Completions stream.
+*/
+export type OpenAiChatCompletionChunk = {
+	[key: string]: unknown;
+	id: string;
+	object: 'chat.completion.chunk';
+	created: number;
+	model: string;
+	system_fingerprint?: string;
+	choices: Array<{
+		[key: string]: unknown;
+		index: number;
+		delta: OpenAiChatCompletionDelta;
+		finish_reason: string | null;
+	}>;
+	usage?: OpenAiUsage | null;
+};
+
+export type OpenAiUsage = {
+	[key: string]: unknown;
+	prompt_tokens: number;
+	completion_tokens: number;
+	total_tokens: number;
+};
+
+/**
+An OpenAI chat completion assembled from a stream, in the same shape as a non-streaming response.
+*/
+export type OpenAiChatCompletion = {
+	id: string;
+	object: 'chat.completion';
+	created: number;
+	model: string;
+	system_fingerprint: string | undefined;
+	choices: Array<{
+		index: number;
+		message: {
+			role: string;
+			content: string | null;
+			refusal: string | null;
+
+			/**
+			Only present when the model called a tool.
+			*/
+			tool_calls?: OpenAiToolCall[];
+		};
+		finish_reason: string | null;
+	}>;
+
+	/**
+	Only present when requested with `stream_options: {include_usage: true}`.
+	*/
+	usage: OpenAiUsage | undefined;
+};
+
+export type OpenAiChatCompletionUpdate =
+	| {
+		type: 'delta';
+
+		/**
+		The choice index.
+		*/
+		index: number;
+
+		/**
+		The text content of the delta, or an empty string.
+		*/
+		text: string;
+
+		delta: OpenAiChatCompletionDelta;
+		chunk: OpenAiChatCompletionChunk;
+	}
+	| {
+		type: 'completion';
+		completion: OpenAiChatCompletion;
+	};
+
+/**
+TransformStream that accumulates an [OpenAI Chat Completions](https://platform.openai.com/docs/api-reference/chat-streaming) stream.
+
+Emits a `delta` update for each choice delta, followed by a `completion` update with the assembled chat completion when the stream ends. Tool call fragments are merged by index.
+
+The `[DONE]` message and comments are ignored. An `error` chunk or data that is not valid JSON errors the stream.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {OpenAiChatCompletionStream} from 'parse-sse/llm';
+
+const updates = parseServerSentEvents(response, {terminator: '[DONE]'})
+	.pipeThrough(new OpenAiChatCompletionStream());
+
+for await (const update of updates) {
+	if (update.type === 'delta') {
+		process.stdout.write(update.text);
+	} else {
+		console.log(update.completion.choices[0].message.tool_calls);
+	}
+}
+```
+*/
+export class OpenAiChatCompletionStream extends TransformStream<ServerSentEvent | ServerSentEventComment, OpenAiChatCompletionUpdate> {
+	constructor();
+}
+
+/**
+A content block in an Anthropic message.
+*/
+export type AnthropicContentBlock =
+	| {type: 'text'; text: string; citations?: unknown[]}
+	| {type: 'thinking'; thinking: string; signature?: string}
+	| {type: 'tool_use'; id: string; name: string; input: unknown}
+	| {[key: string]: unknown; type: string};
+
+/**
+An Anthropic message assembled from a stream, in the same shape as a non-streaming response.
+*/
+export type AnthropicMessage = {
+	[key: string]: unknown;
+	id: string;
+	type: 'message';
+	role: 'assistant';
+	model: string;
+	content: AnthropicContentBlock[];
+	stop_reason: string | null;
+	stop_sequence: string | null;
+	usage: {
+		[key: string]: unknown;
+		input_tokens: number;
+		output_tokens: number;
+	};
+};
+
+/**
+The delta of a content block in an Anthropic Messages stream.
+*/
+export type AnthropicContentBlockDelta =
+	| {type: 'text_delta'; text: string}
+	| {type: 'input_json_delta'; partial_json: string}
+	| {type: 'thinking_delta'; thinking: string}
+	| {type: 'signature_delta'; signature: string}
+	| {type: 'citations_delta'; citation: unknown}
+	| {[key: string]: unknown; type: string};
+
+export type AnthropicMessageUpdate =
+	| {
+		type: 'delta';
+
+		/**
+		The content block index.
+		*/
+		index: number;
+
+		/**
+		The text of a `text_delta`, or an empty string.
+		*/
+		text: string;
+
+		delta: AnthropicContentBlockDelta;
+		event: {type: 'content_block_delta'; index: number; delta: AnthropicContentBlockDelta};
+	}
+	| {
+		type: 'message';
+		message: AnthropicMessage;
+	};
+
+/**
+TransformStream that accumulates an [Anthropic Messages](https://docs.anthropic.com/en/docs/build-with-claude/streaming) stream.
+
+Emits a `delta` update for each content block delta, followed by a `message` update with the assembled message when the stream ends. The partial JSON of `tool_use` blocks is parsed into `input` when the block stops.
+
+`ping` events and comments are ignored. An `error` event, or data or tool input that is not valid JSON, errors the stream.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {AnthropicMessageStream} from 'parse-sse/llm';
+
+const updates = parseServerSentEvents(response)
+	.pipeThrough(new AnthropicMessageStream());
+
+for await (const update of updates) {
+	if (update.type === 'delta') {
+		process.stdout.write(update.text);
+	} else {
+		console.log(update.message.stop_reason);
+	}
+}
+```
+*/
+export class AnthropicMessageStream extends TransformStream<ServerSentEvent | ServerSentEventComment, AnthropicMessageUpdate> {
+	constructor();
+}
+
+/**
+Accumulate an OpenAI Chat Completions stream into a chat completion.
+
+Rejects if the stream ends without any chunks.
+
+@param events - A stream of events from `parseServerSentEvents()`.
+@returns The assembled chat completion.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {collectOpenAiChatCompletion} from 'parse-sse/llm';
+
+const completion = await collectOpenAiChatCompletion(parseServerSentEvents(response, {terminator: '[DONE]'}));
+console.log(completion.choices[0].message.content);
+```
+*/
+export function collectOpenAiChatCompletion(events: ReadableStream<ServerSentEvent | ServerSentEventComment>): Promise<OpenAiChatCompletion>;
+
+/**
+Accumulate an Anthropic Messages stream into a message.
+
+Rejects if the stream ends without a `message_start` event.
+
+@param events - A stream of events from `parseServerSentEvents()`.
+@returns The assembled message.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {collectAnthropicMessage} from 'parse-sse/llm';
+
+const message = await collectAnthropicMessage(parseServerSentEvents(response));
+console.log(message.content);
+```
+*/
+export function collectAnthropicMessage(events: ReadableStream<ServerSentEvent | ServerSentEventComment>): Promise<AnthropicMessage>;
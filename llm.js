@@ -0,0 +1,317 @@
+function parseEventData(event) {
+	try {
+		return JSON.parse(event.data);
+	} catch (error) {
+		throw new SyntaxError(`Event data of type \`${event.type}\` is not valid JSON`, {cause: error});
+	}
+}
+
+function parseToolInput(json, block, index) {
+	try {
+		return JSON.parse(json);
+	} catch (error) {
+		throw new SyntaxError(`Input of tool \`${block.name}\` in content block ${index} is not valid JSON`, {cause: error});
+	}
+}
+
+function appendText(value, text) {
+	return (value ?? '') + text;
+}
+
+function applyOpenAiChoice(completion, choice) {
+	const {delta = {}} = choice;
+
+	completion.choices[choice.index] ??= {
+		index: choice.index,
+		message: {role: 'assistant', content: null, refusal: null},
+		finish_reason: null, // eslint-disable-line camelcase
+	};
+
+	const {message} = completion.choices[choice.index];
+
+	if (delta.role) {
+		message.role = delta.role;
+	}
+
+	if (typeof delta.content === 'string') {
+		message.content = appendText(message.content, delta.content);
+	}
+
+	if (typeof delta.refusal === 'string') {
+		message.refusal = appendText(message.refusal, delta.refusal);
+	}
+
+	for (const toolCallDelta of delta.tool_calls ?? []) {
+		message.tool_calls ??= []; // eslint-disable-line camelcase
+		message.tool_calls[toolCallDelta.index] ??= {id: '', type: 'function', function: {name: '', arguments: ''}};
+
+		// Tool calls are streamed as fragments that share an index. Only the first one has the ID and name.
+		const toolCall = message.tool_calls[toolCallDelta.index];
+
+		if (toolCallDelta.id) {
+			toolCall.id = toolCallDelta.id;
+		}
+
+		if (toolCallDelta.type) {
+			toolCall.type = toolCallDelta.type;
+		}
+
+		if (toolCallDelta.function?.name) {
+			toolCall.function.name = toolCallDelta.function.name;
+		}
+
+		if (toolCallDelta.function?.arguments) {
+			toolCall.function.arguments += toolCallDelta.function.arguments;
+		}
+	}
+
+	if (choice.finish_reason) {
+		completion.choices[choice.index].finish_reason = choice.finish_reason; // eslint-disable-line camelcase
+	}
+}
+
+/**
+TransformStream that accumulates an OpenAI Chat Completions stream.
+
+Emits a `delta` update for each choice delta, followed by a `completion` update with the assembled chat completion when the stream ends.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {OpenAiChatCompletionStream} from 'parse-sse/llm';
+
+const updates = parseServerSentEvents(response, {terminator: '[DONE]'})
+	.pipeThrough(new OpenAiChatCompletionStream());
+```
+*/
+export class OpenAiChatCompletionStream extends TransformStream {
+	constructor() {
+		let completion;
+
+		super({
+			transform(event, controller) {
+				if (event.kind === 'comment' || event.data === '[DONE]') {
+					return;
+				}
+
+				const chunk = parseEventData(event);
+
+				if (chunk.error) {
+					throw new Error(chunk.error.message ?? 'The stream returned an error', {cause: chunk.error});
+				}
+
+				completion ??= {
+					id: chunk.id,
+					object: 'chat.completion',
+					created: chunk.created,
+					model: chunk.model,
+					system_fingerprint: chunk.system_fingerprint, // eslint-disable-line camelcase
+					choices: [],
+					usage: undefined,
+				};
+
+				if (chunk.usage) {
+					completion.usage = chunk.usage;
+				}
+
+				for (const choice of chunk.choices ?? []) {
+					applyOpenAiChoice(completion, choice);
+
+					controller.enqueue({
+						type: 'delta',
+						index: choice.index,
+						text: choice.delta?.content ?? '',
+						delta: choice.delta ?? {},
+						chunk,
+					});
+				}
+			},
+			flush(controller) {
+				if (completion) {
+					controller.enqueue({type: 'completion', completion});
+				}
+			},
+		});
+	}
+}
+
+function applyAnthropicDelta(block, delta, partialJson) {
+	switch (delta.type) {
+		case 'text_delta': {
+			block.text = appendText(block.text, delta.text);
+			break;
+		}
+
+		case 'input_json_delta': {
+			partialJson.set(block, appendText(partialJson.get(block), delta.partial_json));
+			break;
+		}
+
+		case 'thinking_delta': {
+			block.thinking = appendText(block.thinking, delta.thinking);
+			break;
+		}
+
+		case 'signature_delta': {
+			block.signature = appendText(block.signature, delta.signature);
+			break;
+		}
+
+		case 'citations_delta': {
+			block.citations ??= [];
+			block.citations.push(delta.citation);
+			break;
+		}
+
+		default: {
+			break;
+		}
+	}
+}
+
+/**
+TransformStream that accumulates an Anthropic Messages stream.
+
+Emits a `delta` update for each content block delta, followed by a `message` update with the assembled message when the stream ends.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {AnthropicMessageStream} from 'parse-sse/llm';
+
+const updates = parseServerSentEvents(response)
+	.pipeThrough(new AnthropicMessageStream());
+```
+*/
+export class AnthropicMessageStream extends TransformStream {
+	constructor() {
+		let message;
+		// Tool inputs are streamed as JSON fragments, which are only valid once the block stops
+		const partialJson = new Map();
+
+		super({
+			transform(event, controller) {
+				if (event.kind === 'comment') {
+					return;
+				}
+
+				const data = parseEventData(event);
+
+				if (data.type === 'error') {
+					throw new Error(data.error?.message ?? 'The stream returned an error', {cause: data.error});
+				}
+
+				if (data.type === 'message_start') {
+					message = structuredClone(data.message);
+					return;
+				}
+
+				if (!message) {
+					return;
+				}
+
+				switch (data.type) {
+					case 'content_block_start': {
+						message.content[data.index] = structuredClone(data.content_block);
+						break;
+					}
+
+					case 'content_block_delta': {
+						const block = message.content[data.index];
+						if (block) {
+							applyAnthropicDelta(block, data.delta, partialJson);
+						}
+
+						controller.enqueue({
+							type: 'delta',
+							index: data.index,
+							text: data.delta.type === 'text_delta' ? data.delta.text : '',
+							delta: data.delta,
+							event: data,
+						});
+						break;
+					}
+
+					case 'content_block_stop': {
+						const block = message.content[data.index];
+						if (partialJson.has(block)) {
+							const json = partialJson.get(block);
+							partialJson.delete(block);
+							block.input = json === '' ? {} : parseToolInput(json, block, data.index);
+						}
+
+						break;
+					}
+
+					case 'message_delta': {
+						Object.assign(message, data.delta);
+						message.usage = {...message.usage, ...data.usage};
+						break;
+					}
+
+					default: {
+						break;
+					}
+				}
+			},
+			flush(controller) {
+				if (message) {
+					controller.enqueue({type: 'message', message});
+				}
+			},
+		});
+	}
+}
+
+async function readFinalUpdate(stream, type) {
+	let result;
+	for await (const update of stream) {
+		if (update.type === type) {
+			result = update[type];
+		}
+	}
+
+	if (!result) {
+		throw new Error('The stream ended without a response');
+	}
+
+	return result;
+}
+
+/**
+Accumulate an OpenAI Chat Completions stream into a chat completion.
+
+@param {ReadableStream<object>} events - A stream of events from `parseServerSentEvents()`.
+@returns {Promise<object>} The assembled chat completion.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {collectOpenAiChatCompletion} from 'parse-sse/llm';
+
+const completion = await collectOpenAiChatCompletion(parseServerSentEvents(response, {terminator: '[DONE]'}));
+console.log(completion.choices[0].message.content);
+```
+*/
+export async function collectOpenAiChatCompletion(events) {
+	return readFinalUpdate(events.pipeThrough(new OpenAiChatCompletionStream()), 'completion');
+}
+
+/**
+Accumulate an Anthropic Messages stream into a message.
+
+@param {ReadableStream<object>} events - A stream of events from `parseServerSentEvents()`.
+@returns {Promise<object>} The assembled message.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+import {collectAnthropicMessage} from 'parse-sse/llm';
+
+const message = await collectAnthropicMessage(parseServerSentEvents(response));
+console.log(message.content);
+```
+*/
+export async function collectAnthropicMessage(events) {
+	return readFinalUpdate(events.pipeThrough(new AnthropicMessageStream()), 'message');
+}
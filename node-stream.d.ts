@@ -0,0 +1,106 @@
+import type {Readable} from 'node:stream';
+import type {ServerSentEvent, ServerSentEventComment, ParseServerSentEventsOptions} from './index.js';
+
+/**
+Headers as Node.js represents them, where repeated headers are arrays.
+*/
+export type NodeHeaders = Headers | Readonly<Record<string, string | readonly string[] | number | undefined>>;
+
+/**
+A response with a Node.js readable stream, like the result of `undici.request()` or an axios response with `responseType: 'stream'`.
+*/
+export type NodeStreamResponse = {
+	/**
+	The stream, as returned by `undici.request()`.
+	*/
+	readonly body?: Readable;
+
+	/**
+	The stream, as returned by axios.
+	*/
+	readonly data?: Readable;
+
+	readonly statusCode?: number;
+	readonly status?: number;
+	readonly statusMessage?: string;
+	readonly statusText?: string;
+	readonly headers?: NodeHeaders;
+};
+
+export type ParseServerSentEventsFromNodeStreamOptions = ParseServerSentEventsOptions & {
+	/**
+	Destroy the Node.js stream when aborted. The event stream then errors with the abort reason.
+	*/
+	readonly signal?: AbortSignal;
+};
+
+/**
+Parse a Server-Sent Events (SSE) stream from a Node.js readable stream.
+
+Accepts an `http.IncomingMessage`, the result of `undici.request()`, an axios response with `responseType: 'stream'`, or any `Readable`. The status and headers of a response are used for the `validate` option. A plain `Readable` has no headers, so it fails validation.
+
+Cancelling the returned stream destroys the Node.js stream, which closes the connection. Destroying the Node.js stream errors the returned stream.
+
+@param input - A Node.js readable stream, or a response with one as its `body` or `data` property.
+@returns A stream of parsed SSE events, the same as `parseServerSentEvents()`.
+
+@example
+```
+import https from 'node:https';
+import {parseServerSentEventsFromNodeStream} from 'parse-sse/node';
+
+https.get('https://api.example.com/events', async response => {
+	for await (const event of parseServerSentEventsFromNodeStream(response, {validate: true})) {
+		console.log(event.data);
+	}
+});
+```
+
+@example
+```
+import {request} from 'undici';
+import {parseServerSentEventsFromNodeStream} from 'parse-sse/node';
+
+const response = await request('https://api.example.com/events');
+
+for await (const event of parseServerSentEventsFromNodeStream(response)) {
+	console.log(event.data);
+}
+```
+*/
+export function parseServerSentEventsFromNodeStream(
+	input: Readable | NodeStreamResponse,
+	options: ParseServerSentEventsFromNodeStreamOptions & {readonly includeComments: true},
+): ReadableStream<ServerSentEvent | ServerSentEventComment>;
+export function parseServerSentEventsFromNodeStream(
+	input: Readable | NodeStreamResponse,
+	options?: ParseServerSentEventsFromNodeStreamOptions,
+): ReadableStream<ServerSentEvent>;
+
+export type ParseServerSentEventsFromFileOptions = Omit<ParseServerSentEventsFromNodeStreamOptions, 'validate'>;
+
+/**
+Parse a Server-Sent Events (SSE) file, like a recorded `.sse` capture.
+
+Reading errors, like a missing file, error the returned stream.
+
+@param path - The file path.
+@returns A stream of parsed SSE events.
+
+@example
+```
+import {parseServerSentEventsFromFile} from 'parse-sse/node';
+
+for await (const event of parseServerSentEventsFromFile('fixtures/chat.sse')) {
+	console.log(event.data);
+}
+```
+*/
+export function parseServerSentEventsFromFile(
+	path: string | URL,
+	options: ParseServerSentEventsFromFileOptions & {readonly includeComments: true},
+): ReadableStream<ServerSentEvent | ServerSentEventComment>;
+export function parseServerSentEventsFromFile(
+	path: string | URL,
+	options?: ParseServerSentEventsFromFileOptions,
+): ReadableStream<ServerSentEvent>;
@@ -0,0 +1,131 @@
+import {createReadStream} from 'node:fs';
+import {Readable} from 'node:stream';
+import {parseServerSentEvents} from './index.js';
+
+function isNodeReadable(value) {
+	return typeof value?.pipe === 'function' && typeof value.on === 'function';
+}
+
+function toHeaders(headers) {
+	if (headers instanceof Headers) {
+		return headers;
+	}
+
+	const result = new Headers();
+
+	for (const [name, value] of Object.entries(headers ?? {})) {
+		if (value === undefined || value === null) {
+			continue;
+		}
+
+		// Node.js represents repeated headers as arrays
+		result.set(name, Array.isArray(value) ? value.join(', ') : String(value));
+	}
+
+	return result;
+}
+
+function normalizeInput(input) {
+	if (isNodeReadable(input)) {
+		// An `http.IncomingMessage` is both the stream and the response
+		return {
+			body: input,
+			status: input.statusCode,
+			statusText: input.statusMessage,
+			headers: input.headers,
+		};
+	}
+
+	if (typeof input !== 'object' || input === null) {
+		throw new TypeError('Expected a Node.js readable stream or a response with one');
+	}
+
+	// `undici.request()` has `statusCode` and `body`, while axios has `status` and `data`
+	const body = isNodeReadable(input.body) ? input.body : input.data;
+
+	if (!isNodeReadable(body)) {
+		throw new TypeError('Expected a Node.js readable stream or a response with one');
+	}
+
+	return {
+		body,
+		status: input.statusCode ?? input.status,
+		statusText: input.statusMessage ?? input.statusText,
+		headers: input.headers,
+	};
+}
+
+/**
+Parse a Server-Sent Events (SSE) stream from a Node.js readable stream, like an `http.IncomingMessage`.
+
+@param {object} input - A Node.js readable stream, or a response with one as its `body` or `data` property.
+@param {object} [options]
+@returns {ReadableStream<ServerSentEvent>} A stream of parsed SSE events.
+
+@example
+```
+import https from 'node:https';
+import {parseServerSentEventsFromNodeStream} from 'parse-sse/node';
+
+https.get('https://api.example.com/events', async response => {
+	for await (const event of parseServerSentEventsFromNodeStream(response, {validate: true})) {
+		console.log(event.data);
+	}
+});
+```
+*/
+export function parseServerSentEventsFromNodeStream(input, options = {}) {
+	const {body, status = 200, statusText = '', headers} = normalizeInput(input);
+
+	if (body.readableEncoding) {
+		throw new TypeError('Expected a stream of bytes, but the stream has an encoding set');
+	}
+
+	const {signal} = options;
+
+	if (signal) {
+		if (signal.aborted) {
+			body.destroy(signal.reason);
+		} else {
+			const onAbort = () => {
+				body.destroy(signal.reason);
+			};
+
+			signal.addEventListener('abort', onAbort, {once: true});
+			body.once('close', () => {
+				signal.removeEventListener('abort', onAbort);
+			});
+		}
+	}
+
+	// Cancelling the web stream destroys the Node.js stream, and destroying the Node.js stream errors the web stream
+	const response = {
+		ok: status >= 200 && status < 300,
+		status,
+		statusText,
+		headers: toHeaders(headers),
+		body: Readable.toWeb(body),
+	};
+
+	return parseServerSentEvents(response, options);
+}
+
+/**
+Parse a Server-Sent Events (SSE) file, like a recorded `.sse` capture.
+
+@param {string | URL} path - The file path.
+@param {object} [options]
+@returns {ReadableStream<ServerSentEvent>} A stream of parsed SSE events.
+
+@example
+```
+import {parseServerSentEventsFromFile} from 'parse-sse/node';
+
+for await (const event of parseServerSentEventsFromFile('fixtures/chat.sse')) {
+	console.log(event.data);
+}
+```
+*/
+export function parseServerSentEventsFromFile(path, options = {}) {
+	return parseServerSentEventsFromNodeStream(createReadStream(path), {...options, validate: false});
+}
@@ -0,0 +1,372 @@
+import {
+	ServerSentEventByteTransformStream,
+	ServerSentEventNdjsonTransformStream,
+	forEachLine,
+	createParser,
+} from './transform-stream.js';
+import {cancelQuietly, toIterator} from './utilities.js';
+
+const formats = new Set(['auto', 'event-stream', 'ndjson']);
+const ndjsonMediaTypes = new Set(['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/jsonlines']);
+
+/**
+Error thrown when a response is not a valid event stream.
+
+This corresponds to the spec's "fail the connection", as opposed to a network failure.
+*/
+export class ServerSentEventResponseError extends Error {
+	name = 'ServerSentEventResponseError';
+
+	constructor(message, {status, statusText, headers, body}) {
+		super(message);
+		this.status = status;
+		this.statusText = statusText;
+		this.headers = headers;
+		this.body = body;
+	}
+}
+
+/**
+Error thrown when no data is received for longer than the `idleTimeout` option.
+*/
+export class ServerSentEventTimeoutError extends Error {
+	name = 'ServerSentEventTimeoutError';
+
+	constructor(timeout) {
+		super(`No data received for ${timeout} ms`);
+		this.timeout = timeout;
+	}
+}
+
+const maxBodySnippetLength = 1024;
+
+function parseContentType(response) {
+	const contentType = response.headers.get('content-type') ?? '';
+	const [mediaType, ...parameters] = contentType.split(';').map(part => part.trim());
+	return {contentType, mediaType: mediaType.toLowerCase(), parameters};
+}
+
+function isNdjsonResponse(response) {
+	return ndjsonMediaTypes.has(parseContentType(response).mediaType);
+}
+
+export function getResponseProblem(response, format = 'event-stream') {
+	if (!response.ok) {
+		return `Expected a 2xx status, got ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+	}
+
+	const {contentType, mediaType, parameters} = parseContentType(response);
+	const isNdjson = ndjsonMediaTypes.has(mediaType);
+
+	if (format === 'ndjson' && !isNdjson) {
+		return `Expected an NDJSON Content-Type like application/x-ndjson, got ${contentType || 'none'}`;
+	}
+
+	if (format !== 'ndjson' && mediaType !== 'text/event-stream' && !(format === 'auto' && isNdjson)) {
+		return `Expected Content-Type text/event-stream, got ${contentType || 'none'}`;
+	}
+
+	for (const parameter of parameters) {
+		const [name, value = ''] = parameter.split('=').map(part => part.trim());
+		if (name.toLowerCase() !== 'charset') {
+			continue;
+		}
+
+		const charset = value.replaceAll('"', '').toLowerCase();
+		if (!/^utf-?8$/.test(charset)) {
+			return `Expected charset utf-8, got ${charset}`;
+		}
+	}
+
+	return undefined;
+}
+
+// Read a bounded snippet of the body for debugging, then release the connection
+async function readBodySnippet(body) {
+	if (!body) {
+		return '';
+	}
+
+	const reader = body.getReader();
+	const decoder = new TextDecoder();
+	let text = '';
+
+	try {
+		while (text.length < maxBodySnippetLength) {
+			const {done, value} = await reader.read(); // eslint-disable-line no-await-in-loop
+			if (done) {
+				break;
+			}
+
+			text += decoder.decode(value, {stream: true});
+		}
+	} catch {
+		// The snippet is best-effort
+	} finally {
+		await cancelQuietly(reader);
+	}
+
+	return text.slice(0, maxBodySnippetLength);
+}
+
+async function createResponseError(response, message) {
+	return new ServerSentEventResponseError(message, {
+		status: response.status,
+		statusText: response.statusText,
+		headers: response.headers,
+		body: await readBodySnippet(response.body),
+	});
+}
+
+/**
+Parse a Server-Sent Events (SSE) stream from a Response object.
+
+@param {Response} response - The Response object with a `text/event-stream` body.
+@param {object} [options]
+@returns {ReadableStream<ServerSentEvent>} A stream of parsed SSE events.
+
+@example
+```
+import {parseServerSentEvents} from 'parse-sse';
+
+const response = await fetch('https://api.example.com/events');
+
+for await (const event of parseServerSentEvents(response)) {
+	console.log(event.type, event.data);
+}
+```
+*/
+export function parseServerSentEvents(response, options = {}) {
+	if (!response) {
+		throw new TypeError('Expected a Response object');
+	}
+
+	if (!response.body) {
+		throw new TypeError('Expected response to have a body');
+	}
+
+	const {format = 'auto'} = options;
+	if (!formats.has(format)) {
+		throw new TypeError(`Expected \`format\` to be one of ${[...formats].map(name => `'${name}'`).join(', ')}`);
+	}
+
+	if (options.validate) {
+		const problem = getResponseProblem(response, format);
+
+		if (problem) {
+			return new ReadableStream({
+				async start(controller) {
+					controller.error(await createResponseError(response, problem));
+				},
+			});
+		}
+	}
+
+	const isTerminator = options.terminator === undefined ? undefined : createTerminatorPredicate(options.terminator);
+
+	const isNdjson = format === 'ndjson' || (format === 'auto' && isNdjsonResponse(response));
+
+	const parse = body => {
+		const events = body.pipeThrough(isNdjson ? new ServerSentEventNdjsonTransformStream(options) : new ServerSentEventByteTransformStream(options));
+		return isTerminator ? events.pipeThrough(createTerminatorStream(isTerminator, options.includeTerminator)) : events;
+	};
+
+	if (options.idleTimeout !== undefined) {
+		return parseWithIdleTimeout(response.body, options.idleTimeout, parse);
+	}
+
+	return parse(response.body);
+}
+
+/**
+Parse Server-Sent Events (SSE) from a string, like a recorded `.sse` file.
+
+@param {string} text - The Server-Sent Events text.
+@param {object} [options]
+@returns {ServerSentEvent[]} The parsed events.
+
+@example
+```
+import {parseServerSentEventsSync} from 'parse-sse';
+
+const events = parseServerSentEventsSync('event: update\ndata: {"progress":50}\n\n');
+```
+*/
+export function parseServerSentEventsSync(text, options = {}) {
+	if (typeof text !== 'string') {
+		throw new TypeError(`Expected a string, got ${typeof text}`);
+	}
+
+	const parser = createParser(options);
+	const events = [];
+	const controller = {
+		enqueue(event) {
+			events.push(event);
+		},
+	};
+
+	const textOffset = text.startsWith('\uFEFF') ? 1 : 0;
+	let lineOffset = textOffset;
+
+	const remainder = forEachLine(text.slice(textOffset), (line, next) => {
+		parser.processLine(line, controller, lineOffset);
+		lineOffset = textOffset + next;
+	});
+
+	if (remainder) {
+		parser.processLine(remainder, controller, lineOffset);
+	}
+
+	parser.end(controller, text.length);
+
+	return events;
+}
+
+/**
+Parse Server-Sent Events (SSE) from a string, Blob, or a stream or iterable of strings or bytes.
+
+@param {string | Blob | Iterable | AsyncIterable | ReadableStream} source - The Server-Sent Events text or bytes.
+@param {object} [options]
+@returns {ReadableStream<ServerSentEvent>} A stream of parsed SSE events.
+
+@example
+```
+import {parseServerSentEventsFrom} from 'parse-sse';
+
+for await (const event of parseServerSentEventsFrom(blob)) {
+	console.log(event.data);
+}
+```
+*/
+export function parseServerSentEventsFrom(source, options = {}) {
+	if (typeof source === 'string' || source instanceof Uint8Array) {
+		source = [source];
+	} else if (typeof Blob === 'function' && source instanceof Blob) {
+		source = source.stream();
+	}
+
+	if (typeof source?.getReader !== 'function' && typeof source?.[Symbol.asyncIterator] !== 'function' && typeof source?.[Symbol.iterator] !== 'function') {
+		throw new TypeError('Expected a string, Blob, iterable, async iterable, or ReadableStream');
+	}
+
+	const iterator = toIterator(source);
+	const encoder = new TextEncoder();
+
+	const bytes = new ReadableStream({
+		async pull(controller) {
+			const {done, value} = await iterator.next();
+
+			if (done) {
+				controller.close();
+				return;
+			}
+
+			// Strings are encoded so both kinds of chunks go through the same parser
+			controller.enqueue(typeof value === 'string' ? encoder.encode(value) : value);
+		},
+		async cancel(reason) {
+			await iterator.return?.(reason);
+		},
+	}, {highWaterMark: 0});
+
+	return bytes.pipeThrough(options.format === 'ndjson' ? new ServerSentEventNdjsonTransformStream(options) : new ServerSentEventByteTransformStream(options));
+}
+
+export function createTerminatorPredicate(terminator) {
+	if (typeof terminator === 'function') {
+		return terminator;
+	}
+
+	if (typeof terminator === 'string') {
+		return event => event.data === terminator;
+	}
+
+	if (typeof terminator === 'object' && terminator !== null) {
+		const {type, data} = terminator;
+		return event => (type === undefined || event.type === type) && (data === undefined || event.data === data);
+	}
+
+	throw new TypeError('Expected `terminator` to be a string, object, or function');
+}
+
+// Closes the stream at the terminal event. This errors the writable side, so the pipe cancels the response body and frees the connection.
+function createTerminatorStream(isTerminator, includeTerminator = false) {
+	return new TransformStream({
+		transform(event, controller) {
+			if (event.kind !== 'comment' && isTerminator(event)) {
+				if (includeTerminator) {
+					controller.enqueue(event);
+				}
+
+				controller.terminate();
+				return;
+			}
+
+			controller.enqueue(event);
+		},
+	});
+}
+
+/*
+Errors the stream when no bytes arrive for `idleTimeout` milliseconds, including comments that don't produce events.
+
+The timer only runs while the consumer waits for an event, so a slow consumer applying backpressure doesn't cause a timeout.
+*/
+function parseWithIdleTimeout(body, idleTimeout, parse) {
+	if (!(typeof idleTimeout === 'number' && idleTimeout > 0)) {
+		throw new TypeError('Expected `idleTimeout` to be a positive number');
+	}
+
+	let timeout;
+	let onTimeout;
+
+	const activityStream = new TransformStream({
+		transform(chunk, controller) {
+			if (timeout !== undefined) {
+				clearTimeout(timeout);
+				timeout = setTimeout(onTimeout, idleTimeout);
+			}
+
+			controller.enqueue(chunk);
+		},
+	});
+
+	const reader = parse(body.pipeThrough(activityStream)).getReader();
+
+	let isTimedOut = false;
+
+	return new ReadableStream({
+		async pull(controller) {
+			onTimeout = () => {
+				isTimedOut = true;
+				const error = new ServerSentEventTimeoutError(idleTimeout);
+				controller.error(error);
+				cancelQuietly(reader, error);
+			};
+
+			timeout = setTimeout(onTimeout, idleTimeout);
+
+			try {
+				const {done, value} = await reader.read();
+
+				if (isTimedOut) {
+					return;
+				}
+
+				if (done) {
+					controller.close();
+				} else {
+					controller.enqueue(value);
+				}
+			} finally {
+				clearTimeout(timeout);
+				timeout = undefined;
+			}
+		},
+		async cancel(reason) {
+			clearTimeout(timeout);
+			timeout = undefined;
+			await reader.cancel(reason);
+		},
+	}, {highWaterMark: 0});
+}
@@ -0,0 +1,137 @@
+import {parseServerSentEventsSync} from './parse.js';
+import {createEventStreamHeaders} from './encoder.js';
+import {delay, encodeRecordedChunk, decodeRecordedChunk} from './utilities.js';
+
+const recordingVersion = 1;
+
+function assertRecording(recording) {
+	if (recording?.version !== recordingVersion || !Array.isArray(recording.chunks)) {
+		throw new TypeError(`Expected a recording with \`version\` ${recordingVersion} and a \`chunks\` array`);
+	}
+}
+
+/**
+TransformStream that passes chunks through unchanged while recording them with their timing, to replay them later with `createServerSentEventReplayResponse()`.
+
+@example
+```
+import fs from 'node:fs/promises';
+import {parseServerSentEvents, ServerSentEventRecorderStream} from 'parse-sse';
+
+const recorder = new ServerSentEventRecorderStream();
+const body = response.body.pipeThrough(recorder);
+
+for await (const event of parseServerSentEvents(new Response(body, response))) {
+	console.log(event.data);
+}
+
+await fs.writeFile('recording.json', JSON.stringify(recorder.recording));
+```
+*/
+export class ServerSentEventRecorderStream extends TransformStream {
+	#chunks;
+	#options;
+
+	constructor(options = {}) {
+		const chunks = [];
+		let startTime;
+
+		super({
+			start() {
+				startTime = performance.now();
+			},
+			transform(chunk, controller) {
+				if (typeof chunk !== 'string' && !(chunk instanceof Uint8Array)) {
+					throw new TypeError('ServerSentEventRecorderStream expects string or Uint8Array chunks.');
+				}
+
+				chunks.push({time: Math.round(performance.now() - startTime), ...encodeRecordedChunk(chunk)});
+				controller.enqueue(chunk);
+			},
+		});
+
+		this.#chunks = chunks;
+		this.#options = options;
+	}
+
+	/**
+	The chunks recorded so far with the events they parse to.
+
+	@returns {object}
+	*/
+	get recording() {
+		const decoder = new TextDecoder('utf8', {ignoreBOM: true});
+		let text = '';
+		for (const chunk of this.#chunks) {
+			text += decoder.decode(decodeRecordedChunk(chunk), {stream: true});
+		}
+
+		text += decoder.decode();
+
+		return {
+			version: recordingVersion,
+			chunks: this.#chunks.map(chunk => ({...chunk})),
+			events: parseServerSentEventsSync(text, this.#options),
+		};
+	}
+}
+
+/**
+Create a `Response` that replays the chunks of a recording from `ServerSentEventRecorderStream` with their original timing.
+
+@param {object} recording - The recording.
+@param {object} [options]
+@returns {Response} A response with a `text/event-stream` body.
+
+@example
+```
+import fs from 'node:fs/promises';
+import {parseServerSentEvents, createServerSentEventReplayResponse} from 'parse-sse';
+
+const recording = JSON.parse(await fs.readFile('recording.json', 'utf8'));
+
+for await (const event of parseServerSentEvents(createServerSentEventReplayResponse(recording, {speed: 10}))) {
+	console.log(event.data);
+}
+```
+*/
+export function createServerSentEventReplayResponse(recording, options = {}) {
+	assertRecording(recording);
+
+	const {speed = 1, status = 200, statusText} = options;
+
+	if (typeof speed !== 'number' || !(speed > 0)) {
+		throw new TypeError('Expected `speed` to be a positive number');
+	}
+
+	const chunks = recording.chunks.map(chunk => ({time: chunk.time, bytes: decodeRecordedChunk(chunk)}));
+	const abortController = new AbortController();
+	let index = 0;
+	let startTime;
+
+	const body = new ReadableStream({
+		async pull(controller) {
+			if (index >= chunks.length) {
+				controller.close();
+				return;
+			}
+
+			const {time, bytes} = chunks[index++];
+
+			// Timing is relative to the first read, so a response that is read late doesn't burst
+			startTime ??= performance.now();
+			const wait = (time / speed) - (performance.now() - startTime);
+
+			if (wait > 0) {
+				await delay(wait, abortController.signal);
+			}
+
+			controller.enqueue(bytes);
+		},
+		cancel(reason) {
+			abortController.abort(reason);
+		},
+	}, {highWaterMark: 0});
+
+	return new Response(body, {status, statusText, headers: createEventStreamHeaders(options.headers)});
+}
@@ -0,0 +1,136 @@
+import {cancelQuietly} from './utilities.js';
+
+function getRoute(routes, type) {
+	return Object.hasOwn(routes, type) ? routes[type] : routes['*'];
+}
+
+/**
+Call a handler for each event based on its type.
+
+@param {ReadableStream<ServerSentEvent>} events - A stream of events from `parseServerSentEvents()`.
+@param {object} handlers - Handlers by event type. The `'*'` handler receives events without their own handler.
+@returns {Promise<void>} Resolves when the stream ends.
+
+@example
+```
+import {parseServerSentEvents, routeServerSentEvents} from 'parse-sse';
+
+await routeServerSentEvents(parseServerSentEvents(response), {
+	update(event) {
+		console.log('Update:', event.data);
+	},
+	'*'(event) {
+		console.log('Other:', event.type);
+	},
+});
+```
+*/
+export async function routeServerSentEvents(events, handlers) {
+	if (typeof handlers !== 'object' || handlers === null) {
+		throw new TypeError('Expected `handlers` to be an object');
+	}
+
+	for await (const event of events) {
+		if (event.kind === 'comment') {
+			continue;
+		}
+
+		// Handlers are awaited in order, so a slow handler applies backpressure to the stream
+		await getRoute(handlers, event.type)?.(event);
+	}
+}
+
+/**
+Split a stream of events into a stream per event type.
+
+@param {ReadableStream<ServerSentEvent>} events - A stream of events from `parseServerSentEvents()`.
+@param {string[]} types - The event types to split out. A `'*'` type receives the events of all other types.
+@returns {object} A `ReadableStream` for each type.
+
+@example
+```
+import {parseServerSentEvents, splitServerSentEvents} from 'parse-sse';
+
+const {update, delete: deletions} = splitServerSentEvents(parseServerSentEvents(response), ['update', 'delete']);
+```
+*/
+export function splitServerSentEvents(events, types) {
+	if (!Array.isArray(types) || types.length === 0 || !types.every(type => typeof type === 'string')) {
+		throw new TypeError('Expected `types` to be a non-empty array of strings');
+	}
+
+	const reader = events.getReader();
+	const branchTypes = new Set(types);
+	const controllers = new Map();
+	const enqueueCounts = new Map();
+	let isDone = false;
+
+	function finish(callback) {
+		isDone = true;
+
+		for (const controller of controllers.values()) {
+			callback(controller);
+		}
+
+		controllers.clear();
+	}
+
+	// Pulls from several branches can read at the same time, as the reader queues them in order
+	async function readNext() {
+		let result;
+		try {
+			result = await reader.read();
+		} catch (error) {
+			finish(controller => controller.error(error));
+			return;
+		}
+
+		if (result.done) {
+			finish(controller => controller.close());
+			return;
+		}
+
+		const event = result.value;
+		if (event.kind === 'comment') {
+			return;
+		}
+
+		const type = branchTypes.has(event.type) ? event.type : '*';
+		const controller = controllers.get(type);
+
+		// Events for a cancelled branch, or without a branch, are dropped
+		if (controller) {
+			controller.enqueue(event);
+			enqueueCounts.set(type, enqueueCounts.get(type) + 1);
+		}
+	}
+
+	const streams = {};
+
+	for (const type of branchTypes) {
+		enqueueCounts.set(type, 0);
+
+		streams[type] = new ReadableStream({
+			start(controller) {
+				controllers.set(type, controller);
+			},
+			async pull() {
+				// The source is read until an event for this branch arrives, while the other branches buffer theirs
+				const count = enqueueCounts.get(type);
+				while (controllers.has(type) && enqueueCounts.get(type) === count) {
+					await readNext(); // eslint-disable-line no-await-in-loop
+				}
+			},
+			async cancel(reason) {
+				controllers.delete(type);
+
+				if (controllers.size === 0 && !isDone) {
+					isDone = true;
+					await cancelQuietly(reader, reason);
+				}
+			},
+		}, {highWaterMark: 0});
+	}
+
+	return streams;
+}
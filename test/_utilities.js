@@ -0,0 +1,141 @@
+import {setTimeout} from 'node:timers/promises';
+import {parseServerSentEvents, ServerSentEventTransformStream, ServerSentEventByteTransformStream} from '../index.js';
+
+// Helper to create a mock Response with SSE data
+export function createResponse(data, options) {
+	const encoder = new TextEncoder();
+	const stream = new ReadableStream({
+		start(controller) {
+			controller.enqueue(encoder.encode(data));
+			controller.close();
+		},
+	});
+
+	return new Response(stream, options);
+}
+
+// Helper to create a mock Response with SSE data and a valid event stream Content-Type
+export function createEventStreamResponse(data) {
+	return createResponse(data, {headers: {'Content-Type': 'text/event-stream'}});
+}
+
+// Helper to collect all events
+export async function collectEvents(response) {
+	const events = [];
+	for await (const event of parseServerSentEvents(response)) {
+		events.push(event);
+	}
+
+	return events;
+}
+
+// Helper to collect all chunks from any stream
+export async function collectStream(stream) {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+
+	return chunks;
+}
+
+// Helper to parse byte chunks with ServerSentEventByteTransformStream
+export async function parseBytes(chunks, options) {
+	const stream = new ReadableStream({
+		start(controller) {
+			for (const chunk of chunks) {
+				controller.enqueue(chunk);
+			}
+
+			controller.close();
+		},
+	});
+
+	return collectStream(stream.pipeThrough(new ServerSentEventByteTransformStream(options)));
+}
+
+// Helper to parse text chunks with ServerSentEventTransformStream
+export async function parseText(chunks, options) {
+	const stream = new ReadableStream({
+		start(controller) {
+			for (const chunk of chunks) {
+				controller.enqueue(chunk);
+			}
+
+			controller.close();
+		},
+	});
+
+	return collectStream(stream.pipeThrough(new ServerSentEventTransformStream(options)));
+}
+
+// Helper to create a mock Response that sends chunks with delays in between
+export function createTimedResponse(steps) {
+	const encoder = new TextEncoder();
+	const stream = new ReadableStream({
+		async start(controller) {
+			for (const step of steps) {
+				if (typeof step === 'number') {
+					await setTimeout(step); // eslint-disable-line no-await-in-loop
+				} else {
+					controller.enqueue(encoder.encode(step));
+				}
+			}
+
+			controller.close();
+		},
+	});
+
+	return new Response(stream);
+}
+
+// Helper to create a mock Response that records whether its body was cancelled
+export function createCancelTrackingResponse(data, options) {
+	const state = {isCancelled: false};
+	const stream = new ReadableStream({
+		start(controller) {
+			controller.enqueue(new TextEncoder().encode(data));
+		},
+		cancel() {
+			state.isCancelled = true;
+		},
+	});
+
+	return {response: new Response(stream, options), state};
+}
+
+// Helper to create a stream of events that a test pushes to
+export function createControlledEventStream() {
+	let controller;
+	const state = {isCancelled: false, cancelReason: undefined};
+	const stream = new ReadableStream({
+		start(streamController) {
+			controller = streamController;
+		},
+		cancel(reason) {
+			state.isCancelled = true;
+			state.cancelReason = reason;
+		},
+	});
+
+	return {
+		stream,
+		state,
+		send(data, lastEventId = '') {
+			controller.enqueue({type: 'message', data, lastEventId});
+		},
+		sendComment(text) {
+			controller.enqueue({kind: 'comment', text});
+		},
+		close() {
+			controller.close();
+		},
+		error(error) {
+			controller.error(error);
+		},
+	};
+}
+
+export function createNdjsonResponse(data, contentType = 'application/x-ndjson') {
+	return createResponse(data, {headers: {'Content-Type': contentType}});
+}
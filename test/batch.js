@@ -0,0 +1,121 @@
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseServerSentEvents, ServerSentEventBatchStream} from '../index.js';
+import {
+	createResponse,
+	collectStream,
+	createTimedResponse,
+	createControlledEventStream,
+} from './_utilities.js';
+
+function batchData(batches) {
+	return batches.map(batch => batch.map(event => event.data));
+}
+
+test('ServerSentEventBatchStream batches events by count', async () => {
+	const response = createResponse('data: 1\n\n: ping\n\ndata: 2\n\ndata: 3\n\ndata: 4\n\ndata: 5\n\n');
+	const batches = await collectStream(parseServerSentEvents(response, {includeComments: true}).pipeThrough(new ServerSentEventBatchStream({maxSize: 2})));
+
+	assert.deepEqual(batchData(batches), [['1', '2'], ['3', '4'], ['5']]);
+});
+
+test('ServerSentEventBatchStream batches events by time', async () => {
+	const response = createTimedResponse(['data: 1\n\n', 'data: 2\n\n', 100, 'data: 3\n\n', 'data: 4\n\n']);
+	const batches = await collectStream(parseServerSentEvents(response).pipeThrough(new ServerSentEventBatchStream({interval: 30})));
+
+	assert.deepEqual(batchData(batches), [['1', '2'], ['3', '4']]);
+});
+
+test('ServerSentEventBatchStream batches events with a custom schedule', async () => {
+	const callbacks = [];
+	const source = createControlledEventStream();
+	const reader = source.stream.pipeThrough(new ServerSentEventBatchStream({
+		schedule(callback) {
+			callbacks.push(callback);
+		},
+	})).getReader();
+
+	const read = reader.read();
+	source.send('1');
+	source.send('2');
+	await setTimeout(0);
+	assert.equal(callbacks.length, 1);
+
+	callbacks[0]();
+	const {value} = await read;
+	assert.deepEqual(value.map(event => event.data), ['1', '2']);
+
+	const nextRead = reader.read();
+	source.send('3');
+	await setTimeout(0);
+	assert.equal(callbacks.length, 2);
+
+	callbacks[1]();
+	const {value: nextValue} = await nextRead;
+	assert.deepEqual(nextValue.map(event => event.data), ['3']);
+});
+
+test('ServerSentEventBatchStream ignores a schedule after a full batch', async () => {
+	const callbacks = [];
+	const source = createControlledEventStream();
+	const reader = source.stream.pipeThrough(new ServerSentEventBatchStream({
+		maxSize: 2,
+		schedule(callback) {
+			callbacks.push(callback);
+		},
+	})).getReader();
+
+	const read = reader.read();
+	source.send('1');
+	source.send('2');
+	source.send('3');
+	const {value} = await read;
+	assert.deepEqual(value.map(event => event.data), ['1', '2']);
+
+	callbacks[0]();
+	source.close();
+
+	const {value: lastValue} = await reader.read();
+	assert.deepEqual(lastValue.map(event => event.data), ['3']);
+
+	const {done} = await reader.read();
+	assert.ok(done);
+});
+
+test('ServerSentEventBatchStream coalesces events by type', async () => {
+	const response = createResponse('event: a\nid: 1\ndata: 1\n\nevent: b\nid: 2\ndata: 2\n\nevent: a\nid: 3\ndata: 3\n\nevent: c\ndata: 4\n\nevent: b\nid: 5\ndata: 5\n\nevent: c\ndata: 6\n\n');
+	const batches = await collectStream(parseServerSentEvents(response).pipeThrough(new ServerSentEventBatchStream({maxSize: 10, coalesce: 'type'})));
+
+	assert.equal(batches.length, 1);
+	assert.deepEqual(batches[0].map(event => [event.type, event.data, event.lastEventId]), [
+		['a', '3', '3'],
+		['b', '5', '5'],
+		['c', '6', '5'],
+	]);
+});
+
+test('ServerSentEventBatchStream coalesces events by key', async () => {
+	const response = createResponse('data: {"symbol":"A","price":1}\n\ndata: {"symbol":"B","price":2}\n\ndata: {"symbol":"A","price":3}\n\n');
+	const batches = await collectStream(parseServerSentEvents(response).pipeThrough(new ServerSentEventBatchStream({
+		maxSize: 2,
+		coalesce: event => JSON.parse(event.data).symbol,
+	})));
+
+	assert.deepEqual(batchData(batches), [['{"symbol":"A","price":1}', '{"symbol":"B","price":2}'], ['{"symbol":"A","price":3}']]);
+});
+
+test('ServerSentEventBatchStream validates options', () => {
+	const invalidOptions = [
+		[{}, 'Expected a `maxSize`, `interval`, or `schedule` option'],
+		[{maxSize: 0}, 'Expected `maxSize` to be a positive integer'],
+		[{interval: -1}, 'Expected `interval` to be a positive number'],
+		[{schedule: 'frame'}, 'Expected `schedule` to be a function'],
+		[{interval: 10, schedule() {}}, 'Expected either `interval` or `schedule`, not both'],
+		[{maxSize: 2, coalesce: 'data'}, 'Expected `coalesce` to be `\'type\'` or a function'],
+	];
+
+	for (const [options, message] of invalidOptions) {
+		assert.throws(() => new ServerSentEventBatchStream(options), {name: 'TypeError', message});
+	}
+});
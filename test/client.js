@@ -0,0 +1,419 @@
+import {once} from 'node:events';
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createServerSentEventStream, FetchEventSource} from '../index.js';
+import {
+	createResponse,
+	createEventStreamResponse,
+	collectStream,
+	createTimedResponse,
+	createCancelTrackingResponse,
+} from './_utilities.js';
+
+test('createServerSentEventStream reconnects with Last-Event-ID header', async () => {
+	const requests = [];
+	const bodies = [
+		'id: 1\ndata: first\n\n',
+		'data: second\n\n',
+	];
+
+	const stream = createServerSentEventStream(request => {
+		requests.push(request);
+		return bodies.length > 0 ? createEventStreamResponse(bodies.shift()) : new Response(null, {status: 204});
+	}, {retryDelay: 0});
+
+	const events = await collectStream(stream);
+
+	assert.deepEqual(events.map(event => event.data), ['first', 'second']);
+	assert.equal(requests.length, 3);
+	assert.deepEqual(requests[0].headers, {});
+	assert.deepEqual(requests[1].headers, {'Last-Event-ID': '1'});
+	assert.equal(requests[1].lastEventId, '1');
+	assert.equal(events[1].lastEventId, '1'); // Persists across reconnects
+});
+
+test('createServerSentEventStream honors retry field', async () => {
+	let requestCount = 0;
+	const stream = createServerSentEventStream(() => {
+		requestCount++;
+		return requestCount === 1 ? createEventStreamResponse('retry: 0\ndata: first\n\n') : new Response(null, {status: 204});
+	}, {retryDelay: 60_000});
+
+	const events = await collectStream(stream);
+
+	assert.equal(events.length, 1);
+	assert.equal(requestCount, 2);
+});
+
+test('createServerSentEventStream reconnects with the ID and retry of blocks without data', async () => {
+	const requests = [];
+	const bodies = [
+		'retry: 0\n\ndata: a\nid: 1\n\nid: 2\n\n',
+		'id: 3\ndata: incomplete',
+	];
+
+	const stream = createServerSentEventStream(request => {
+		requests.push(request);
+		return bodies.length > 0 ? createEventStreamResponse(bodies.shift()) : new Response(null, {status: 204});
+	}, {retryDelay: 60_000});
+
+	const events = await collectStream(stream);
+
+	// Waiting the `retryDelay` would time out the test
+	assert.deepEqual(events.map(event => event.data), ['a']);
+	assert.deepEqual(requests.map(request => request.lastEventId), ['', '2', '2']);
+});
+
+test('createServerSentEventStream stops after maxRetries', async () => {
+	let requestCount = 0;
+	const stream = createServerSentEventStream(() => {
+		requestCount++;
+		throw new Error('Network failure');
+	}, {retryDelay: 0, maxRetries: 2});
+
+	await assert.rejects(collectStream(stream), {message: 'Network failure'});
+	assert.equal(requestCount, 3);
+});
+
+test('createServerSentEventStream resets retry count after an event', async () => {
+	let requestCount = 0;
+	const stream = createServerSentEventStream(() => {
+		requestCount++;
+
+		if (requestCount === 2) {
+			return createEventStreamResponse('data: recovered\n\n');
+		}
+
+		if (requestCount < 4) {
+			throw new Error('Network failure');
+		}
+
+		return new Response(null, {status: 204});
+	}, {retryDelay: 0, maxRetries: 2});
+
+	const events = await collectStream(stream);
+
+	assert.equal(events.length, 1);
+	assert.equal(requestCount, 4);
+});
+
+test('createServerSentEventStream supports AbortSignal', async () => {
+	const abortController = new AbortController();
+	let receivedSignal;
+
+	const stream = createServerSentEventStream(({signal}) => {
+		receivedSignal = signal;
+		return createEventStreamResponse('data: test\n\n');
+	}, {retryDelay: 60_000, signal: abortController.signal});
+
+	const reader = stream.getReader();
+	const {value} = await reader.read();
+	assert.equal(value.data, 'test');
+
+	const pendingRead = reader.read();
+	abortController.abort(new Error('Stopped'));
+
+	await assert.rejects(pendingRead, {message: 'Stopped'});
+	assert.equal(receivedSignal.aborted, true);
+});
+
+test('createServerSentEventStream aborts the request when cancelled', async () => {
+	let receivedSignal;
+
+	const stream = createServerSentEventStream(({signal}) => {
+		receivedSignal = signal;
+		return createEventStreamResponse('data: test\n\n');
+	});
+
+	const reader = stream.getReader();
+	const {value} = await reader.read();
+	assert.equal(value.data, 'test');
+	await reader.cancel();
+
+	assert.equal(receivedSignal.aborted, true);
+});
+
+test('createServerSentEventStream throws for non-function', () => {
+	assert.throws(() => {
+		createServerSentEventStream('https://example.com');
+	}, {
+		name: 'TypeError',
+		message: 'Expected a function that returns a Response',
+	});
+});
+
+test('createServerSentEventStream does not reconnect on invalid response', async () => {
+	let requestCount = 0;
+	const stream = createServerSentEventStream(() => {
+		requestCount++;
+		return createResponse('Forbidden', {status: 403});
+	}, {retryDelay: 0});
+
+	await assert.rejects(collectStream(stream), {
+		name: 'ServerSentEventResponseError',
+		status: 403,
+	});
+	assert.equal(requestCount, 1);
+});
+
+test('createServerSentEventStream discards incomplete event before reconnecting', async () => {
+	const requests = [];
+	const bodies = [
+		'id: 1\ndata: first\n\nid: 2\ndata: partial',
+		'id: 2\ndata: second\n\n',
+	];
+
+	const stream = createServerSentEventStream(request => {
+		requests.push(request);
+		return bodies.length > 0 ? createEventStreamResponse(bodies.shift()) : new Response(null, {status: 204});
+	}, {retryDelay: 0});
+
+	const events = await collectStream(stream);
+
+	assert.deepEqual(events.map(event => event.data), ['first', 'second']);
+	assert.equal(requests[1].lastEventId, '1');
+});
+
+test('createServerSentEventStream passes comments through', async () => {
+	const requests = [];
+	const bodies = ['id: 1\ndata: first\n\n: heartbeat\n'];
+
+	const stream = createServerSentEventStream(request => {
+		requests.push(request);
+		return bodies.length > 0 ? createEventStreamResponse(bodies.shift()) : new Response(null, {status: 204});
+	}, {retryDelay: 0, includeComments: true});
+
+	const events = await collectStream(stream);
+
+	assert.deepEqual(events.map(event => event.kind ?? event.data), ['first', 'comment']);
+	assert.equal(requests[1].lastEventId, '1');
+});
+
+test('createServerSentEventStream reconnects after idle timeout', async () => {
+	let requestCount = 0;
+	const stream = createServerSentEventStream(() => {
+		requestCount++;
+
+		if (requestCount === 1) {
+			const response = createTimedResponse(['data: first\n\n', 1000]);
+			response.headers.set('Content-Type', 'text/event-stream');
+			return response;
+		}
+
+		return requestCount === 2 ? createEventStreamResponse('data: second\n\n') : new Response(null, {status: 204});
+	}, {retryDelay: 0, idleTimeout: 50});
+
+	const events = await collectStream(stream);
+
+	assert.deepEqual(events.map(event => event.data), ['first', 'second']);
+});
+
+test('createServerSentEventStream does not reconnect after terminator', async () => {
+	let requestCount = 0;
+	const {response, state} = createCancelTrackingResponse('data: 1\n\ndata: [DONE]\n\n', {headers: {'Content-Type': 'text/event-stream'}});
+
+	const stream = createServerSentEventStream(() => {
+		requestCount++;
+		return response;
+	}, {retryDelay: 0, terminator: '[DONE]', includeTerminator: true});
+
+	const events = await collectStream(stream);
+
+	assert.deepEqual(events.map(event => event.data), ['1', '[DONE]']);
+	assert.equal(requestCount, 1);
+	await setTimeout(10);
+	assert.ok(state.isCancelled);
+});
+
+// Helper to create a fetch function that returns the given responses in order, then hangs until aborted
+function createFetchMock(responses) {
+	const requests = [];
+
+	const fetch = async (url, init) => {
+		requests.push({url, ...init});
+
+		if (requests.length <= responses.length) {
+			return responses[requests.length - 1];
+		}
+
+		return new Promise((resolve, reject) => {
+			init.signal.addEventListener('abort', () => {
+				reject(init.signal.reason);
+			}, {once: true});
+		});
+	};
+
+	return {fetch, requests};
+}
+
+test('FetchEventSource dispatches open, message, and named events', async () => {
+	const {fetch} = createFetchMock([createEventStreamResponse('data: hello\n\nevent: update\nid: 1\ndata: world\n\n')]);
+	const eventSource = new FetchEventSource('https://example.com/events', {fetch});
+
+	assert.equal(eventSource.readyState, FetchEventSource.CONNECTING);
+
+	const messages = [];
+	eventSource.onmessage = event => { // eslint-disable-line unicorn/prefer-add-event-listener
+		messages.push(event.data);
+	};
+
+	const [openEvent] = await once(eventSource, 'open');
+	assert.equal(openEvent.type, 'open');
+	assert.equal(eventSource.readyState, eventSource.OPEN);
+
+	const [updateEvent] = await once(eventSource, 'update');
+	assert.ok(updateEvent instanceof MessageEvent);
+	assert.equal(updateEvent.data, 'world');
+	assert.equal(updateEvent.lastEventId, '1');
+	assert.equal(updateEvent.origin, 'https://example.com');
+	assert.deepEqual(messages, ['hello']);
+
+	eventSource.close();
+	assert.equal(eventSource.readyState, FetchEventSource.CLOSED);
+});
+
+test('FetchEventSource sends the request options', async () => {
+	const {fetch, requests} = createFetchMock([]);
+	const eventSource = new FetchEventSource(new URL('https://example.com/events'), {
+		fetch,
+		method: 'POST',
+		headers: {authorization: 'Bearer token'},
+		body: '{"topic":"news"}',
+		withCredentials: true,
+	});
+
+	await setTimeout(0);
+	eventSource.close();
+
+	assert.equal(eventSource.url, 'https://example.com/events');
+	assert.equal(eventSource.withCredentials, true);
+	assert.equal(requests.length, 1);
+	assert.equal(requests[0].method, 'POST');
+	assert.equal(requests[0].body, '{"topic":"news"}');
+	assert.equal(requests[0].credentials, 'include');
+	assert.equal(requests[0].cache, 'no-store');
+	assert.equal(requests[0].headers.get('authorization'), 'Bearer token');
+	assert.equal(requests[0].headers.get('accept'), 'text/event-stream');
+	assert.equal(requests[0].headers.has('last-event-id'), false);
+});
+
+test('FetchEventSource reconnects with Last-Event-ID after the connection closes', async () => {
+	const {fetch, requests} = createFetchMock([
+		createEventStreamResponse('retry: 10\nid: 42\ndata: first\n\n'),
+		createEventStreamResponse('data: second\n\n'),
+	]);
+	const eventSource = new FetchEventSource('https://example.com/events', {fetch});
+
+	const messages = [];
+	const states = [];
+	eventSource.addEventListener('message', event => {
+		messages.push(event.data);
+	});
+	eventSource.addEventListener('error', () => {
+		states.push(eventSource.readyState);
+	});
+
+	await once(eventSource, 'message');
+	await once(eventSource, 'message');
+	eventSource.close();
+
+	assert.deepEqual(messages, ['first', 'second']);
+	assert.deepEqual(states, [FetchEventSource.CONNECTING]);
+	assert.equal(requests[1].headers.get('last-event-id'), '42');
+});
+
+test('FetchEventSource reconnects with the ID and retry of blocks without data', async () => {
+	const {fetch, requests} = createFetchMock([
+		createEventStreamResponse('retry: 0\n\ndata: first\nid: 1\n\nid: 2\n\n'),
+		createEventStreamResponse('data: second\n\n'),
+	]);
+	const eventSource = new FetchEventSource('https://example.com/events', {fetch});
+
+	await once(eventSource, 'message');
+	await once(eventSource, 'message');
+	eventSource.close();
+
+	assert.equal(requests[1].headers.get('last-event-id'), '2');
+});
+
+test('FetchEventSource reconnects after a network error', async () => {
+	let requestCount = 0;
+	const fetch = async () => {
+		requestCount++;
+		if (requestCount === 1) {
+			throw new TypeError('fetch failed');
+		}
+
+		return createEventStreamResponse('data: recovered\n\n');
+	};
+
+	const eventSource = new FetchEventSource('https://example.com/events', {fetch});
+
+	await once(eventSource, 'error');
+	assert.equal(eventSource.readyState, FetchEventSource.CONNECTING);
+
+	const [event] = await once(eventSource, 'message');
+	eventSource.close();
+
+	assert.equal(event.data, 'recovered');
+});
+
+test('FetchEventSource fails the connection for an invalid response', async () => {
+	for (const response of [
+		createResponse('Not found', {status: 404, headers: {'Content-Type': 'text/event-stream'}}),
+		createResponse('{}', {headers: {'Content-Type': 'application/json'}}),
+		new Response(null, {status: 204}),
+	]) {
+		const {fetch, requests} = createFetchMock([response]);
+		const eventSource = new FetchEventSource('https://example.com/events', {fetch});
+
+		await once(eventSource, 'error'); // eslint-disable-line no-await-in-loop
+		assert.equal(eventSource.readyState, FetchEventSource.CLOSED);
+
+		await setTimeout(20); // eslint-disable-line no-await-in-loop
+		assert.equal(requests.length, 1);
+	}
+});
+
+test('FetchEventSource does not reconnect after close', async () => {
+	const {fetch, requests} = createFetchMock([createEventStreamResponse('retry: 0\ndata: hello\n\n')]);
+	const eventSource = new FetchEventSource('https://example.com/events', {fetch});
+
+	eventSource.onmessage = () => { // eslint-disable-line unicorn/prefer-add-event-listener
+		eventSource.close();
+	};
+
+	let errorCount = 0;
+	eventSource.onerror = () => { // eslint-disable-line unicorn/prefer-add-event-listener
+		errorCount++;
+	};
+
+	await setTimeout(20);
+
+	assert.equal(eventSource.readyState, FetchEventSource.CLOSED);
+	assert.equal(requests.length, 1);
+	assert.equal(errorCount, 0);
+});
+
+test('FetchEventSource replaces event handler properties', async () => {
+	const {fetch} = createFetchMock([createEventStreamResponse('data: hello\n\n')]);
+	const eventSource = new FetchEventSource('https://example.com/events', {fetch});
+
+	const calls = [];
+	eventSource.onmessage = () => { // eslint-disable-line unicorn/prefer-add-event-listener
+		calls.push('first');
+	};
+
+	eventSource.onmessage = () => { // eslint-disable-line unicorn/prefer-add-event-listener
+		calls.push('second');
+	};
+
+	assert.equal(typeof eventSource.onmessage, 'function');
+	assert.equal(eventSource.onopen, null);
+
+	await once(eventSource, 'message');
+	eventSource.close();
+
+	assert.deepEqual(calls, ['second']);
+});
@@ -0,0 +1,242 @@
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parseServerSentEvents,
+	formatServerSentEvent,
+	ServerSentEventEncoderStream,
+	createServerSentEventResponse,
+} from '../index.js';
+import {collectStream} from './_utilities.js';
+
+test('formatServerSentEvent formats all fields', () => {
+	assert.equal(
+		formatServerSentEvent({
+			type: 'update',
+			data: 'line 1\nline 2',
+			id: '1',
+			retry: 3000,
+		}),
+		'event: update\nid: 1\nretry: 3000\ndata: line 1\ndata: line 2\n\n',
+	);
+});
+
+test('formatServerSentEvent splits data on all line endings', () => {
+	assert.equal(formatServerSentEvent({data: 'a\r\nb\rc\nd'}), 'data: a\ndata: b\ndata: c\ndata: d\n\n');
+});
+
+test('formatServerSentEvent omits default type and empty lastEventId', () => {
+	assert.equal(
+		formatServerSentEvent({
+			type: 'message',
+			data: 'hello',
+			lastEventId: '',
+			retry: undefined,
+		}),
+		'data: hello\n\n',
+	);
+});
+
+test('formatServerSentEvent formats comments', () => {
+	assert.equal(formatServerSentEvent({kind: 'comment', text: 'heartbeat'}), ': heartbeat\n');
+	assert.equal(formatServerSentEvent({comment: 'note\nmore', data: 'x'}), ': note\n: more\ndata: x\n\n');
+});
+
+test('formatServerSentEvent converts a non-string id to a string', () => {
+	assert.equal(formatServerSentEvent({data: 'x', id: 1}), 'id: 1\ndata: x\n\n');
+	assert.equal(formatServerSentEvent({data: 'x', id: 0}), 'id: 0\ndata: x\n\n');
+});
+
+test('ServerSentEventEncoderStream converts a non-string id to a string', async () => {
+	const events = await roundTrip([{data: 'a', id: 1}, {data: 'b', lastEventId: '1'}]);
+
+	assert.deepEqual(events.map(event => event.lastEventId), ['1', '1']);
+});
+
+test('formatServerSentEvent rejects invalid fields', () => {
+	assert.throws(() => formatServerSentEvent({id: 'a\nb', data: 'x'}), {
+		name: 'TypeError',
+		message: 'Expected `id` to not contain line breaks',
+	});
+
+	assert.throws(() => formatServerSentEvent({id: 'a\0b', data: 'x'}), {
+		name: 'TypeError',
+		message: 'Expected `id` to not contain NULL characters',
+	});
+
+	assert.throws(() => formatServerSentEvent({type: 'a\rb', data: 'x'}), {
+		name: 'TypeError',
+		message: 'Expected `type` to not contain line breaks',
+	});
+
+	assert.throws(() => formatServerSentEvent({retry: 1.5}), {
+		name: 'TypeError',
+		message: 'Expected `retry` to be a non-negative integer',
+	});
+
+	assert.throws(() => formatServerSentEvent('data'), {
+		name: 'TypeError',
+		message: 'Expected an event object',
+	});
+});
+
+// Helper to encode events and parse them again
+async function roundTrip(events, options) {
+	const stream = new ReadableStream({
+		start(controller) {
+			for (const event of events) {
+				controller.enqueue(event);
+			}
+
+			controller.close();
+		},
+	});
+
+	return collectStream(parseServerSentEvents(new Response(stream.pipeThrough(new ServerSentEventEncoderStream())), options));
+}
+
+test('ServerSentEventEncoderStream round-trips parsed events', async () => {
+	const events = [
+		{
+			type: 'message',
+			data: 'hello',
+			lastEventId: '',
+			retry: undefined,
+		},
+		{
+			type: 'update',
+			data: ' leading space\n\nblank line\r\ncrlf',
+			lastEventId: '1',
+			retry: 5000,
+		},
+		{
+			type: 'message',
+			data: '你好 👋',
+			lastEventId: '1',
+			retry: undefined,
+		},
+		{
+			type: 'message',
+			data: ': not a comment',
+			lastEventId: '',
+			retry: undefined,
+		},
+	];
+
+	const parsedEvents = await roundTrip(events);
+
+	assert.deepEqual(parsedEvents, events.map(event => ({...event, data: event.data.replaceAll('\r\n', '\n')})));
+});
+
+test('ServerSentEventEncoderStream round-trips comments', async () => {
+	const items = [
+		{kind: 'comment', text: 'heartbeat'},
+		{
+			type: 'message',
+			data: 'hello',
+			lastEventId: '',
+			retry: undefined,
+		},
+	];
+
+	assert.deepEqual(await roundTrip(items, {includeComments: true}), items);
+});
+
+test('ServerSentEventEncoderStream errors on invalid id', async () => {
+	await assert.rejects(roundTrip([{data: 'x', id: 'a\rb'}]), {
+		name: 'TypeError',
+		message: 'Expected `id` to not contain line breaks',
+	});
+});
+
+test('createServerSentEventResponse creates an event stream response', async () => {
+	const response = createServerSentEventResponse([{data: 'first'}, {type: 'update', data: 'second', id: '1'}]);
+
+	assert.equal(response.status, 200);
+	assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+	assert.equal(response.headers.get('cache-control'), 'no-cache');
+
+	const events = await collectStream(parseServerSentEvents(response, {validate: true}));
+
+	assert.deepEqual(events.map(event => [event.type, event.data, event.lastEventId]), [
+		['message', 'first', ''],
+		['update', 'second', '1'],
+	]);
+});
+
+test('createServerSentEventResponse accepts async iterables and ReadableStream', async () => {
+	async function * generateEvents() {
+		yield {data: 'generated'};
+	}
+
+	const stream = new ReadableStream({
+		start(controller) {
+			controller.enqueue({data: 'streamed'});
+			controller.close();
+		},
+	});
+
+	for (const [source, data] of [[generateEvents(), 'generated'], [stream, 'streamed']]) {
+		const events = await collectStream(parseServerSentEvents(createServerSentEventResponse(source))); // eslint-disable-line no-await-in-loop
+		assert.equal(events[0].data, data);
+	}
+});
+
+test('createServerSentEventResponse sends keep-alive comments', async () => {
+	async function * generateEvents() {
+		await setTimeout(80);
+		yield {data: 'late'};
+	}
+
+	const response = createServerSentEventResponse(generateEvents(), {keepAliveInterval: 30});
+	const items = await collectStream(parseServerSentEvents(response, {includeComments: true}));
+
+	assert.ok(items.length >= 2);
+	assert.deepEqual(items[0], {kind: 'comment', text: 'keep-alive'});
+	assert.equal(items.at(-1).data, 'late');
+});
+
+test('createServerSentEventResponse respects custom headers and status', () => {
+	const response = createServerSentEventResponse([], {
+		status: 201,
+		headers: {'Cache-Control': 'no-store', 'X-Custom': 'yes'},
+	});
+
+	assert.equal(response.status, 201);
+	assert.equal(response.headers.get('cache-control'), 'no-store');
+	assert.equal(response.headers.get('x-custom'), 'yes');
+	assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+});
+
+test('createServerSentEventResponse stops the source when cancelled', async () => {
+	let isFinished = false;
+
+	async function * generateEvents() {
+		try {
+			while (true) {
+				yield {data: 'tick'};
+				await setTimeout(5); // eslint-disable-line no-await-in-loop
+			}
+		} finally {
+			isFinished = true;
+		}
+	}
+
+	const response = createServerSentEventResponse(generateEvents());
+	const reader = parseServerSentEvents(response).getReader();
+	const {value} = await reader.read();
+	assert.equal(value.data, 'tick');
+	await reader.cancel();
+	await setTimeout(20); // Cancellation propagates through the pipe asynchronously
+
+	assert.ok(isFinished);
+});
+
+test('createServerSentEventResponse throws for invalid source', () => {
+	assert.throws(() => {
+		createServerSentEventResponse(42);
+	}, {
+		name: 'TypeError',
+		message: 'Expected an iterable, async iterable, or ReadableStream of events',
+	});
+});
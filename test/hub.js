@@ -0,0 +1,232 @@
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ServerSentEventLimitError, ServerSentEventHub} from '../index.js';
+import {collectStream, createControlledEventStream} from './_utilities.js';
+
+async function collectData(stream) {
+	const events = await collectStream(stream);
+	return events.map(event => event.data);
+}
+
+async function readData(reader, count) {
+	const data = [];
+	for (let index = 0; index < count; index++) {
+		const {value} = await reader.read(); // eslint-disable-line no-await-in-loop
+		data.push(value.data);
+	}
+
+	return data;
+}
+
+test('ServerSentEventHub delivers events to all subscribers', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream);
+
+	const first = hub.subscribe();
+	const second = hub.subscribe();
+	assert.equal(hub.subscriberCount, 2);
+
+	source.send('1');
+	source.sendComment('ping');
+	source.send('2');
+	source.close();
+
+	const [firstEvents, secondEvents] = await Promise.all([collectStream(first), collectStream(second)]);
+
+	assert.deepEqual(firstEvents.map(event => event.data ?? event.text), ['1', 'ping', '2']);
+	assert.deepEqual(secondEvents.map(event => event.data ?? event.text), ['1', 'ping', '2']);
+	assert.equal(hub.subscriberCount, 0);
+});
+
+test('ServerSentEventHub replays recent events to late subscribers', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream, {replay: 2});
+
+	const early = hub.subscribe().getReader();
+	source.send('1');
+	source.sendComment('ping');
+	source.send('2');
+	source.send('3');
+	assert.deepEqual(await readData(early, 3), ['1', undefined, '2']);
+
+	const late = hub.subscribe().getReader();
+	source.send('4');
+
+	assert.deepEqual(await readData(late, 3), ['2', '3', '4']);
+});
+
+test('ServerSentEventHub replays events after `lastEventId`', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream, {replay: 10});
+
+	const early = hub.subscribe().getReader();
+	source.send('1', 'a');
+	source.send('2', 'b');
+	source.send('3', 'b');
+	source.send('4', 'c');
+	await readData(early, 4);
+
+	assert.deepEqual(await readData(hub.subscribe({lastEventId: 'b'}).getReader(), 2), ['3', '4']);
+	assert.deepEqual(await readData(hub.subscribe({lastEventId: 'c'}).getReader(), 0), []);
+	assert.deepEqual(await readData(hub.subscribe({lastEventId: 'unknown'}).getReader(), 4), ['1', '2', '3', '4']);
+});
+
+test('ServerSentEventHub buffers events for a slow subscriber by default', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream);
+
+	const fast = hub.subscribe().getReader();
+	const slow = hub.subscribe({maxBufferedEvents: 1});
+
+	for (let index = 1; index <= 5; index++) {
+		source.send(String(index));
+	}
+
+	assert.deepEqual(await readData(fast, 5), ['1', '2', '3', '4', '5']);
+	source.close();
+	assert.deepEqual(await collectData(slow), ['1', '2', '3', '4', '5']);
+});
+
+test('ServerSentEventHub drops the oldest events for a slow subscriber', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream);
+
+	const fast = hub.subscribe().getReader();
+	const slow = hub.subscribe({overflow: 'drop-oldest', maxBufferedEvents: 2});
+
+	for (let index = 1; index <= 5; index++) {
+		source.send(String(index));
+	}
+
+	assert.deepEqual(await readData(fast, 5), ['1', '2', '3', '4', '5']);
+	source.close();
+	assert.deepEqual(await collectData(slow), ['4', '5']);
+});
+
+test('ServerSentEventHub disconnects a slow subscriber', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream);
+
+	const fast = hub.subscribe().getReader();
+	const slow = hub.subscribe({overflow: 'disconnect', maxBufferedEvents: 2});
+
+	for (let index = 1; index <= 3; index++) {
+		source.send(String(index));
+	}
+
+	assert.deepEqual(await readData(fast, 3), ['1', '2', '3']);
+	assert.equal(hub.subscriberCount, 1);
+
+	await assert.rejects(collectStream(slow), error => {
+		assert.ok(error instanceof ServerSentEventLimitError);
+		assert.equal(error.option, 'maxBufferedEvents');
+		assert.equal(error.limit, 2);
+		return true;
+	});
+
+	source.send('4');
+	assert.deepEqual(await readData(fast, 1), ['4']);
+	assert.ok(!source.state.isCancelled);
+});
+
+test('ServerSentEventHub cancels the upstream when the last subscriber leaves', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream, {replay: 1});
+
+	const first = hub.subscribe();
+	const second = hub.subscribe().getReader();
+	source.send('1');
+	assert.deepEqual(await readData(second, 1), ['1']);
+
+	await first.cancel();
+	assert.ok(!source.state.isCancelled);
+
+	await second.cancel('Done');
+	assert.ok(source.state.isCancelled);
+	assert.equal(source.state.cancelReason, 'Done');
+
+	// A stream source cannot be read again, so later subscribers only get the replay
+	assert.deepEqual(await collectData(hub.subscribe()), ['1']);
+});
+
+test('ServerSentEventHub reopens a function source for the next subscriber', async () => {
+	const sources = [];
+	const hub = new ServerSentEventHub(() => {
+		const source = createControlledEventStream();
+		sources.push(source);
+		return source.stream;
+	}, {replay: 1});
+
+	assert.equal(sources.length, 0);
+
+	const first = hub.subscribe().getReader();
+	hub.subscribe();
+	assert.equal(sources.length, 1);
+
+	sources[0].send('1');
+	assert.deepEqual(await readData(first, 1), ['1']);
+	sources[0].close();
+	const {done} = await first.read();
+	assert.ok(done);
+
+	const second = hub.subscribe().getReader();
+	assert.equal(sources.length, 2);
+	sources[1].send('2');
+	assert.deepEqual(await readData(second, 2), ['1', '2']);
+
+	await second.cancel();
+	assert.ok(sources[1].state.isCancelled);
+});
+
+test('ServerSentEventHub errors all subscribers when the upstream errors', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream);
+
+	const first = hub.subscribe();
+	const second = hub.subscribe();
+	source.error(new Error('Connection lost'));
+
+	await assert.rejects(collectStream(first), {message: 'Connection lost'});
+	await assert.rejects(collectStream(second), {message: 'Connection lost'});
+	await assert.rejects(collectStream(hub.subscribe()), {message: 'Connection lost'});
+});
+
+test('ServerSentEventHub close() closes subscribers after their waiting events', async () => {
+	const source = createControlledEventStream();
+	const hub = new ServerSentEventHub(source.stream);
+
+	const subscriber = hub.subscribe();
+	source.send('1');
+	await setTimeout(0);
+	hub.close();
+
+	assert.deepEqual(await collectData(subscriber), ['1']);
+	assert.ok(source.state.isCancelled);
+	assert.equal(hub.subscriberCount, 0);
+	assert.deepEqual(await collectStream(hub.subscribe()), []);
+});
+
+test('ServerSentEventHub validates options', () => {
+	const {stream} = createControlledEventStream();
+
+	assert.throws(() => new ServerSentEventHub('events'), {
+		name: 'TypeError',
+		message: 'Expected `source` to be a ReadableStream or a function that returns one',
+	});
+	assert.throws(() => new ServerSentEventHub(stream, {replay: -1}), {
+		name: 'TypeError',
+		message: 'Expected `replay` to be a non-negative integer',
+	});
+
+	const hub = new ServerSentEventHub(stream);
+	assert.throws(() => hub.subscribe({overflow: 'block'}), {
+		name: 'TypeError',
+		message: 'Expected `overflow` to be one of \'buffer\', \'drop-oldest\', \'disconnect\'',
+	});
+	assert.throws(() => hub.subscribe({maxBufferedEvents: 0}), {
+		name: 'TypeError',
+		message: 'Expected `maxBufferedEvents` to be a positive integer',
+	});
+	assert.equal(hub.subscriberCount, 0);
+});
@@ -0,0 +1,106 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parseServerSentEvents,
+	parseJsonServerSentEvents,
+	ServerSentEventJsonTransformStream,
+	ServerSentEventJsonError,
+} from '../index.js';
+import {createResponse, collectStream, createNdjsonResponse} from './_utilities.js';
+
+test('parseJsonServerSentEvents adds parsed json', async () => {
+	const response = createResponse('data: {"count":1}\n\nevent: update\ndata: [1,2]\n\n');
+	const events = await collectStream(parseJsonServerSentEvents(response));
+
+	assert.deepEqual(events.map(event => [event.type, event.json]), [
+		['message', {count: 1}],
+		['update', [1, 2]],
+	]);
+	assert.equal(events[0].data, '{"count":1}');
+});
+
+test('parseJsonServerSentEvents emits error events for invalid JSON without tearing down the stream', async () => {
+	const response = createResponse('data: {"count":1}\n\ndata: {broken\n\ndata: {"count":2}\n\n');
+	const events = await collectStream(parseJsonServerSentEvents(response));
+
+	assert.equal(events.length, 3);
+	assert.equal(events[0].json.count, 1);
+	assert.equal(events[1].json, undefined);
+	assert.ok(events[1].error instanceof ServerSentEventJsonError);
+	assert.equal(events[1].error.message, 'Event data is not valid JSON');
+	assert.ok(events[1].error.cause instanceof SyntaxError);
+	assert.equal(events[1].error.event.data, '{broken');
+	assert.equal(events[2].json.count, 2);
+});
+
+test('parseJsonServerSentEvents routes failures to onError', async () => {
+	const errors = [];
+	const response = createResponse('data: {broken\n\ndata: {"count":2}\n\n');
+	const events = await collectStream(parseJsonServerSentEvents(response, {
+		onError(error) {
+			errors.push(error);
+		},
+	}));
+
+	assert.deepEqual(events.map(event => event.json), [{count: 2}]);
+	assert.equal(errors.length, 1);
+	assert.equal(errors[0].name, 'ServerSentEventJsonError');
+});
+
+test('parseJsonServerSentEvents validates per event type', async () => {
+	const errors = [];
+	const response = createResponse([
+		'event: update\ndata: {"count":1}\n\n',
+		'event: update\ndata: {"count":"one"}\n\n',
+		'event: done\ndata: null\n\n',
+		'event: unknown\ndata: {}\n\n',
+	].join(''));
+
+	const events = await collectStream(parseJsonServerSentEvents(response, {
+		validators: {
+			update: value => typeof value?.count === 'number',
+			done: value => value === null,
+		},
+		onError(error) {
+			errors.push(error);
+		},
+	}));
+
+	assert.deepEqual(events.map(event => [event.type, event.json]), [
+		['update', {count: 1}],
+		['done', null],
+	]);
+	assert.deepEqual(errors.map(error => error.message), [
+		'Event data of type `update` failed validation',
+		'No validator for event type `unknown`',
+	]);
+});
+
+test('parseJsonServerSentEvents treats throwing validators as failures', async () => {
+	const response = createResponse('data: {}\n\n');
+	const validationError = new Error('Missing field');
+	const events = await collectStream(parseJsonServerSentEvents(response, {
+		validators: {
+			message() {
+				throw validationError;
+			},
+		},
+	}));
+
+	assert.equal(events[0].error.cause, validationError);
+});
+
+test('ServerSentEventJsonTransformStream passes comments through', async () => {
+	const response = createResponse(': ping\ndata: 1\n\n');
+	const items = await collectStream(parseServerSentEvents(response, {includeComments: true}).pipeThrough(new ServerSentEventJsonTransformStream()));
+
+	assert.deepEqual(items[0], {kind: 'comment', text: 'ping'});
+	assert.equal(items[1].json, 1);
+});
+
+test('parseJsonServerSentEvents parses NDJSON responses', async () => {
+	const response = createNdjsonResponse('{"message":{"content":"Hel"}}\n{"message":{"content":"lo"}}\n');
+	const events = await collectStream(parseJsonServerSentEvents(response));
+
+	assert.deepEqual(events.map(event => event.json.message.content), ['Hel', 'lo']);
+});
@@ -0,0 +1,142 @@
+import {readFile} from 'node:fs/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	OpenAiChatCompletionStream,
+	AnthropicMessageStream,
+	collectOpenAiChatCompletion,
+	collectAnthropicMessage,
+} from '../llm.js';
+import {parseServerSentEvents} from '../index.js';
+import {createResponse, createEventStreamResponse, collectStream} from './_utilities.js';
+
+// Helper to create a Response from a recorded SSE fixture
+async function createFixtureResponse(name) {
+	return createEventStreamResponse(await readFile(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+test('OpenAiChatCompletionStream emits deltas and the assembled completion', async () => {
+	const response = await createFixtureResponse('openai.sse');
+	const updates = await collectStream(parseServerSentEvents(response).pipeThrough(new OpenAiChatCompletionStream()));
+
+	const deltas = updates.filter(update => update.type === 'delta');
+	assert.equal(deltas.map(update => update.text).join(''), 'Let me check the weather.');
+	assert.ok(deltas.every(update => update.index === 0 && update.chunk.object === 'chat.completion.chunk'));
+
+	const {type, completion} = updates.at(-1);
+	assert.equal(type, 'completion');
+	assert.deepEqual(completion, {
+		id: 'chatcmpl-9x7Yb2',
+		object: 'chat.completion',
+		created: 1_724_000_000,
+		model: 'gpt-4o-2024-08-06',
+		system_fingerprint: 'fp_3aa7262c27', // eslint-disable-line camelcase
+		choices: [{
+			index: 0,
+			message: {
+				role: 'assistant',
+				content: 'Let me check the weather.',
+				refusal: null,
+				tool_calls: [ // eslint-disable-line camelcase
+					{id: 'call_Xk2', type: 'function', function: {name: 'get_weather', arguments: '{"city": "Oslo"}'}},
+					{id: 'call_Pq9', type: 'function', function: {name: 'get_time', arguments: '{"timezone": "Europe/Oslo"}'}},
+				],
+			},
+			finish_reason: 'tool_calls', // eslint-disable-line camelcase
+		}],
+		usage: {prompt_tokens: 82, completion_tokens: 41, total_tokens: 123}, // eslint-disable-line camelcase
+	});
+});
+
+test('collectOpenAiChatCompletion works with the terminator option', async () => {
+	const response = await createFixtureResponse('openai.sse');
+	const completion = await collectOpenAiChatCompletion(parseServerSentEvents(response, {terminator: '[DONE]'}));
+
+	assert.equal(completion.choices[0].message.content, 'Let me check the weather.');
+	assert.equal(completion.choices[0].message.tool_calls.length, 2);
+});
+
+test('OpenAiChatCompletionStream errors on an error chunk', async () => {
+	const response = createResponse('data: {"error":{"message":"Rate limit reached","type":"rate_limit_error"}}\n\n');
+
+	await assert.rejects(collectOpenAiChatCompletion(parseServerSentEvents(response)), {
+		message: 'Rate limit reached',
+		cause: {message: 'Rate limit reached', type: 'rate_limit_error'},
+	});
+});
+
+test('OpenAiChatCompletionStream errors on invalid JSON', async () => {
+	const response = createResponse('data: {"id":\n\n');
+
+	await assert.rejects(collectOpenAiChatCompletion(parseServerSentEvents(response)), {
+		name: 'SyntaxError',
+		message: 'Event data of type `message` is not valid JSON',
+	});
+});
+
+test('AnthropicMessageStream emits deltas and the assembled message', async () => {
+	const response = await createFixtureResponse('anthropic.sse');
+	const updates = await collectStream(parseServerSentEvents(response).pipeThrough(new AnthropicMessageStream()));
+
+	const deltas = updates.filter(update => update.type === 'delta');
+	assert.equal(deltas.map(update => update.text).join(''), 'Okay, let\'s check the weather for San Francisco, CA:');
+	assert.deepEqual(deltas.map(update => update.index), [0, 0, 1, 1, 1, 1, 1]);
+	assert.equal(deltas[2].delta.type, 'input_json_delta');
+
+	const {type, message} = updates.at(-1);
+	assert.equal(type, 'message');
+	assert.deepEqual(message, {
+		id: 'msg_01XFDUDYJgAACzvnptvVoYEL',
+		type: 'message',
+		role: 'assistant',
+		content: [
+			{type: 'text', text: 'Okay, let\'s check the weather for San Francisco, CA:'},
+			{
+				type: 'tool_use',
+				id: 'toolu_01T1x1fJ34qAmk2tNTrN7Up6',
+				name: 'get_weather',
+				input: {location: 'San Francisco, CA', unit: 'fahrenheit'},
+			},
+		],
+		model: 'claude-sonnet-4-20250514',
+		stop_reason: 'tool_use', // eslint-disable-line camelcase
+		stop_sequence: null, // eslint-disable-line camelcase
+		usage: {input_tokens: 472, output_tokens: 89}, // eslint-disable-line camelcase
+	});
+});
+
+test('collectAnthropicMessage works with the terminator option', async () => {
+	const response = await createFixtureResponse('anthropic.sse');
+	const message = await collectAnthropicMessage(parseServerSentEvents(response, {terminator: {type: 'message_stop'}}));
+
+	assert.equal(message.stop_reason, 'tool_use');
+	assert.equal(message.content.length, 2);
+});
+
+test('AnthropicMessageStream errors on an error event', async () => {
+	const response = createResponse('event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n');
+
+	await assert.rejects(collectAnthropicMessage(parseServerSentEvents(response)), {
+		message: 'Overloaded',
+		cause: {type: 'overloaded_error', message: 'Overloaded'},
+	});
+});
+
+test('AnthropicMessageStream errors on truncated tool input', async () => {
+	const text = await readFile(new URL('../fixtures/anthropic.sse', import.meta.url), 'utf8');
+	const truncatedText = text.replace(/event: content_block_delta\ndata: .*renheit.*\n\n/, '');
+	assert.notEqual(truncatedText, text);
+
+	await assert.rejects(collectAnthropicMessage(parseServerSentEvents(createEventStreamResponse(truncatedText))), error => {
+		assert.equal(error.name, 'SyntaxError');
+		assert.equal(error.message, 'Input of tool `get_weather` in content block 1 is not valid JSON');
+		assert.ok(error.cause instanceof SyntaxError);
+		return true;
+	});
+});
+
+test('collectAnthropicMessage rejects when the stream has no message', async () => {
+	await assert.rejects(collectAnthropicMessage(parseServerSentEvents(createResponse(': keep-alive\n\n'))), {
+		message: 'The stream ended without a response',
+	});
+});
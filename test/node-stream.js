@@ -0,0 +1,166 @@
+import {Buffer} from 'node:buffer';
+import {once} from 'node:events';
+import {readFile} from 'node:fs/promises';
+import http from 'node:http';
+import {Readable} from 'node:stream';
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseServerSentEventsFromNodeStream, parseServerSentEventsFromFile} from '../node-stream.js';
+import {parseServerSentEventsSync, ServerSentEventResponseError} from '../index.js';
+import {collectStream} from './_utilities.js';
+
+// Helper to start a local HTTP server and get an `http.IncomingMessage` from it
+async function requestLocalServer(handler) {
+	const server = http.createServer(handler);
+	server.listen(0);
+	await once(server, 'listening');
+
+	const request = http.get(`http://localhost:${server.address().port}`);
+	const [response] = await once(request, 'response');
+
+	return {
+		response,
+		async close() {
+			server.closeAllConnections();
+			server.close();
+			await once(server, 'close');
+		},
+	};
+}
+
+test('parseServerSentEventsFromNodeStream parses an http.IncomingMessage', async () => {
+	const {response, close} = await requestLocalServer((request, serverResponse) => {
+		serverResponse.writeHead(200, {'content-type': 'text/event-stream'});
+		serverResponse.write('event: update\ndata: 1\n\n');
+		serverResponse.end('data: 2\n\n');
+	});
+
+	const events = await collectStream(parseServerSentEventsFromNodeStream(response, {validate: true}));
+	await close();
+
+	assert.deepEqual(events.map(event => [event.type, event.data]), [['update', '1'], ['message', '2']]);
+});
+
+test('parseServerSentEventsFromNodeStream validates the status and headers of an http.IncomingMessage', async () => {
+	const {response, close} = await requestLocalServer((request, serverResponse) => {
+		serverResponse.writeHead(401, 'Unauthorized', {'content-type': 'application/json'});
+		serverResponse.end('{"error":"Invalid token"}');
+	});
+
+	await assert.rejects(collectStream(parseServerSentEventsFromNodeStream(response, {validate: true})), error => {
+		assert.ok(error instanceof ServerSentEventResponseError);
+		assert.equal(error.status, 401);
+		assert.equal(error.statusText, 'Unauthorized');
+		assert.equal(error.headers.get('content-type'), 'application/json');
+		assert.equal(error.body, '{"error":"Invalid token"}');
+		return true;
+	});
+
+	assert.ok(response.destroyed);
+	await close();
+});
+
+test('parseServerSentEventsFromNodeStream destroys the http.IncomingMessage when cancelled', async () => {
+	const {response, close} = await requestLocalServer((request, serverResponse) => {
+		serverResponse.writeHead(200, {'content-type': 'text/event-stream'});
+		serverResponse.write('data: 1\n\n');
+	});
+
+	const reader = parseServerSentEventsFromNodeStream(response).getReader();
+	const {value} = await reader.read();
+	await reader.cancel();
+	await setTimeout(10);
+
+	assert.equal(value.data, '1');
+	assert.ok(response.destroyed);
+	await close();
+});
+
+test('parseServerSentEventsFromNodeStream accepts undici and axios style responses', async () => {
+	const undiciResponse = {
+		statusCode: 200,
+		headers: {
+			'content-type': 'text/event-stream',
+			'set-cookie': ['a=1', 'b=2'],
+		},
+		body: Readable.from([Buffer.from('data: undici\n\n')]),
+	};
+
+	const axiosResponse = {
+		status: 200,
+		statusText: 'OK',
+		headers: {
+			'content-type': 'text/event-stream; charset=utf-8',
+		},
+		data: Readable.from([Buffer.from('data: axios\n\n')]),
+	};
+
+	const [undiciEvents, axiosEvents] = await Promise.all([
+		collectStream(parseServerSentEventsFromNodeStream(undiciResponse, {validate: true})),
+		collectStream(parseServerSentEventsFromNodeStream(axiosResponse, {validate: true})),
+	]);
+
+	assert.deepEqual(undiciEvents.map(event => event.data), ['undici']);
+	assert.deepEqual(axiosEvents.map(event => event.data), ['axios']);
+});
+
+test('parseServerSentEventsFromNodeStream accepts a plain Readable', async () => {
+	const events = await collectStream(parseServerSentEventsFromNodeStream(Readable.from([Buffer.from('data: hel'), Buffer.from('lo\n\n')])));
+
+	assert.deepEqual(events.map(event => event.data), ['hello']);
+});
+
+test('parseServerSentEventsFromNodeStream errors when the Node.js stream is destroyed', async () => {
+	const body = new Readable({read() {}});
+	body.push('data: 1\n\n');
+
+	const reader = parseServerSentEventsFromNodeStream(body).getReader();
+	const {value} = await reader.read();
+	assert.equal(value.data, '1');
+
+	body.destroy(new Error('Socket hang up'));
+
+	await assert.rejects(reader.read(), {message: 'Socket hang up'});
+});
+
+test('parseServerSentEventsFromNodeStream destroys the Node.js stream when the signal aborts', async () => {
+	const body = new Readable({read() {}});
+	const abortController = new AbortController();
+	const reader = parseServerSentEventsFromNodeStream(body, {signal: abortController.signal}).getReader();
+
+	abortController.abort(new Error('Stopped'));
+
+	await assert.rejects(reader.read(), {message: 'Stopped'});
+	assert.ok(body.destroyed);
+});
+
+test('parseServerSentEventsFromNodeStream throws for invalid input', () => {
+	assert.throws(() => {
+		parseServerSentEventsFromNodeStream({status: 200});
+	}, {
+		name: 'TypeError',
+		message: 'Expected a Node.js readable stream or a response with one',
+	});
+
+	const body = new Readable({read() {}});
+	body.setEncoding('utf8');
+
+	assert.throws(() => {
+		parseServerSentEventsFromNodeStream(body);
+	}, {
+		name: 'TypeError',
+		message: 'Expected a stream of bytes, but the stream has an encoding set',
+	});
+});
+
+test('parseServerSentEventsFromFile parses a file', async () => {
+	const url = new URL('../fixtures/anthropic.sse', import.meta.url);
+	const events = await collectStream(parseServerSentEventsFromFile(url));
+
+	assert.deepEqual(events, parseServerSentEventsSync(await readFile(url, 'utf8')));
+});
+
+test('parseServerSentEventsFromFile errors for a missing file', async () => {
+	await assert.rejects(collectStream(parseServerSentEventsFromFile(new URL('../fixtures/missing.sse', import.meta.url))), {code: 'ENOENT'});
+});
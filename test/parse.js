@@ -0,0 +1,357 @@
+import {readFile} from 'node:fs/promises';
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parseServerSentEvents,
+	parseServerSentEventsSync,
+	parseServerSentEventsFrom,
+	ServerSentEventResponseError,
+	ServerSentEventIncompleteError,
+	ServerSentEventLimitError,
+	ServerSentEventTimeoutError,
+} from '../index.js';
+import {
+	createResponse,
+	createEventStreamResponse,
+	collectEvents,
+	collectStream,
+	createTimedResponse,
+	createCancelTrackingResponse,
+	createNdjsonResponse,
+} from './_utilities.js';
+
+test('validate accepts valid event stream response', async () => {
+	const response = createResponse('data: test\n\n', {headers: {'Content-Type': 'text/event-stream; charset=UTF-8'}});
+	const events = await collectStream(parseServerSentEvents(response, {validate: true}));
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'test');
+});
+
+test('validate rejects non-2xx status', async () => {
+	const response = createResponse('{"error":"Unauthorized"}', {
+		status: 401,
+		statusText: 'Unauthorized',
+		headers: {'Content-Type': 'application/json'},
+	});
+
+	await assert.rejects(collectStream(parseServerSentEvents(response, {validate: true})), error => {
+		assert.ok(error instanceof ServerSentEventResponseError);
+		assert.equal(error.name, 'ServerSentEventResponseError');
+		assert.equal(error.message, 'Expected a 2xx status, got 401 Unauthorized');
+		assert.equal(error.status, 401);
+		assert.equal(error.headers.get('content-type'), 'application/json');
+		assert.equal(error.body, '{"error":"Unauthorized"}');
+		return true;
+	});
+});
+
+test('validate rejects wrong Content-Type', async () => {
+	const response = createResponse('<html></html>', {headers: {'Content-Type': 'text/html'}});
+
+	await assert.rejects(collectStream(parseServerSentEvents(response, {validate: true})), {
+		name: 'ServerSentEventResponseError',
+		message: 'Expected Content-Type text/event-stream, got text/html',
+	});
+});
+
+test('validate rejects missing Content-Type', async () => {
+	const response = createResponse('data: test\n\n');
+
+	await assert.rejects(collectStream(parseServerSentEvents(response, {validate: true})), {
+		name: 'ServerSentEventResponseError',
+		message: 'Expected Content-Type text/event-stream, got none',
+	});
+});
+
+test('validate rejects non-UTF-8 charset', async () => {
+	const response = createResponse('data: test\n\n', {headers: {'Content-Type': 'text/event-stream; charset=iso-8859-1'}});
+
+	await assert.rejects(collectStream(parseServerSentEvents(response, {validate: true})), {
+		name: 'ServerSentEventResponseError',
+		message: 'Expected charset utf-8, got iso-8859-1',
+	});
+});
+
+test('validate bounds the body snippet', async () => {
+	const response = createResponse('x'.repeat(10_000), {status: 500});
+
+	await assert.rejects(collectStream(parseServerSentEvents(response, {validate: true})), error => {
+		assert.equal(error.body.length, 1024);
+		return true;
+	});
+});
+
+test('idleTimeout errors a stalled stream', async () => {
+	const response = createTimedResponse(['data: first\n\n', 1000]);
+	const events = [];
+
+	await assert.rejects(async () => {
+		for await (const event of parseServerSentEvents(response, {idleTimeout: 50})) {
+			events.push(event);
+		}
+	}, error => {
+		assert.ok(error instanceof ServerSentEventTimeoutError);
+		assert.equal(error.message, 'No data received for 50 ms');
+		assert.equal(error.timeout, 50);
+		return true;
+	});
+
+	assert.equal(events.length, 1);
+});
+
+test('idleTimeout is reset by comment heartbeats', async () => {
+	const response = createTimedResponse([': ping\n', 30, ': ping\n', 30, ': ping\n', 30, 'data: done\n\n']);
+	const events = await collectStream(parseServerSentEvents(response, {idleTimeout: 60}));
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'done');
+});
+
+test('idleTimeout does not count time spent by a slow consumer', async () => {
+	const response = createResponse('data: first\n\ndata: second\n\n');
+	const reader = parseServerSentEvents(response, {idleTimeout: 20}).getReader();
+
+	const first = await reader.read();
+	assert.equal(first.value.data, 'first');
+
+	await setTimeout(60);
+
+	const second = await reader.read();
+	assert.equal(second.value.data, 'second');
+});
+
+test('idleTimeout throws for invalid value', () => {
+	assert.throws(() => {
+		parseServerSentEvents(createResponse(''), {idleTimeout: -1});
+	}, {
+		name: 'TypeError',
+		message: 'Expected `idleTimeout` to be a positive number',
+	});
+});
+
+test('terminator string closes the stream and cancels the body', async () => {
+	const {response, state} = createCancelTrackingResponse('data: {"delta":"a"}\n\ndata: [DONE]\n\n');
+	const events = await collectStream(parseServerSentEvents(response, {terminator: '[DONE]'}));
+
+	assert.deepEqual(events.map(event => event.data), ['{"delta":"a"}']);
+	await setTimeout(10); // Cancellation propagates through the pipe asynchronously
+	assert.ok(state.isCancelled);
+});
+
+test('terminator event type with includeTerminator', async () => {
+	const {response, state} = createCancelTrackingResponse('event: content_block_delta\ndata: {}\n\nevent: message_stop\ndata: {"type":"message_stop"}\n\n');
+	const events = await collectStream(parseServerSentEvents(response, {terminator: {type: 'message_stop'}, includeTerminator: true}));
+
+	assert.deepEqual(events.map(event => event.type), ['content_block_delta', 'message_stop']);
+	await setTimeout(10);
+	assert.ok(state.isCancelled);
+});
+
+test('terminator predicate', async () => {
+	const response = createResponse('data: 1\n\ndata: 2\n\ndata: 3\n\n');
+	const events = await collectStream(parseServerSentEvents(response, {terminator: event => event.data === '2'}));
+
+	assert.deepEqual(events.map(event => event.data), ['1']);
+});
+
+test('terminator works with idleTimeout', async () => {
+	const {response} = createCancelTrackingResponse('data: 1\n\ndata: [DONE]\n\n');
+	const events = await collectStream(parseServerSentEvents(response, {terminator: '[DONE]', idleTimeout: 1000}));
+
+	assert.deepEqual(events.map(event => event.data), ['1']);
+});
+
+test('terminator throws for invalid value', () => {
+	assert.throws(() => {
+		parseServerSentEvents(createResponse(''), {terminator: 42});
+	}, {
+		name: 'TypeError',
+		message: 'Expected `terminator` to be a string, object, or function',
+	});
+});
+
+test('parseServerSentEventsSync matches the streaming parser', async () => {
+	for (const name of ['openai.sse', 'anthropic.sse']) {
+		const text = await readFile(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'); // eslint-disable-line no-await-in-loop
+		const streamedEvents = await collectEvents(createResponse(text)); // eslint-disable-line no-await-in-loop
+
+		assert.deepEqual(parseServerSentEventsSync(text), streamedEvents);
+	}
+});
+
+test('parseServerSentEventsSync handles a BOM, line endings, and a trailing event', () => {
+	const events = parseServerSentEventsSync('\uFEFFid: 1\r\ndata: a\r\rdata: b\ndata: c');
+
+	assert.deepEqual(events, [
+		{
+			type: 'message',
+			data: 'a',
+			lastEventId: '1',
+			retry: undefined,
+		},
+		{
+			type: 'message',
+			data: 'b\nc',
+			lastEventId: '1',
+			retry: undefined,
+		},
+	]);
+});
+
+test('parseServerSentEventsSync supports the parser options', () => {
+	const events = parseServerSentEventsSync(': hi\ndata: a\n\n', {includeComments: true, lastEventId: '5'});
+
+	assert.deepEqual(events, [
+		{kind: 'comment', text: 'hi'},
+		{
+			type: 'message',
+			data: 'a',
+			lastEventId: '5',
+			retry: undefined,
+		},
+	]);
+
+	assert.throws(() => {
+		parseServerSentEventsSync('data: a', {trailingEvent: 'error'});
+	}, ServerSentEventIncompleteError);
+
+	assert.throws(() => {
+		parseServerSentEventsSync(`data: ${'x'.repeat(20)}\n\n`, {maxLineLength: 10});
+	}, ServerSentEventLimitError);
+});
+
+test('parseServerSentEventsSync throws for non-string input', () => {
+	assert.throws(() => {
+		parseServerSentEventsSync(new Uint8Array());
+	}, {
+		name: 'TypeError',
+		message: 'Expected a string, got object',
+	});
+});
+
+test('parseServerSentEventsFrom parses strings, bytes, and Blobs', async () => {
+	const text = 'event: update\ndata: 1\n\n';
+
+	for (const source of [text, new TextEncoder().encode(text), new Blob([text])]) {
+		const events = await collectStream(parseServerSentEventsFrom(source)); // eslint-disable-line no-await-in-loop
+		assert.deepEqual(events, [{
+			type: 'update',
+			data: '1',
+			lastEventId: '',
+			retry: undefined,
+		}]);
+	}
+});
+
+test('parseServerSentEventsFrom parses iterables and streams of mixed chunks', async () => {
+	const bytes = new TextEncoder().encode('é\n\n');
+
+	async function * generate() {
+		yield 'data: a\n\ndata: ';
+		yield bytes.subarray(0, 1);
+		yield bytes.subarray(1);
+	}
+
+	for (const source of [generate(), ['data: a\n\n', 'data: é\n\n'], ReadableStream.from(generate())]) {
+		const events = await collectStream(parseServerSentEventsFrom(source)); // eslint-disable-line no-await-in-loop
+		assert.deepEqual(events.map(event => event.data), ['a', 'é']);
+	}
+});
+
+test('parseServerSentEventsFrom stops the source when cancelled', async () => {
+	let isReturned = false;
+
+	async function * generate() {
+		try {
+			yield 'data: a\n\n';
+			yield 'data: b\n\n';
+		} finally {
+			isReturned = true;
+		}
+	}
+
+	const reader = parseServerSentEventsFrom(generate()).getReader();
+	await reader.read();
+	await reader.cancel();
+	await setTimeout(10);
+
+	assert.ok(isReturned);
+});
+
+test('parseServerSentEventsFrom throws for invalid input', () => {
+	assert.throws(() => {
+		parseServerSentEventsFrom(42);
+	}, {
+		name: 'TypeError',
+		message: 'Expected a string, Blob, iterable, async iterable, or ReadableStream',
+	});
+});
+
+test('parseServerSentEvents parses NDJSON responses by Content-Type', async () => {
+	for (const contentType of ['application/x-ndjson', 'application/ndjson', 'application/jsonl; charset=utf-8', 'Application/JSONLines']) {
+		const response = createNdjsonResponse('{"a":1}\n\n{"b":2}\r\n  \n{"c":"é"}', contentType);
+		const events = await collectStream(parseServerSentEvents(response)); // eslint-disable-line no-await-in-loop
+
+		assert.deepEqual(events, [
+			{
+				type: 'message',
+				data: '{"a":1}',
+				lastEventId: '',
+				retry: undefined,
+			},
+			{
+				type: 'message',
+				data: '{"b":2}',
+				lastEventId: '',
+				retry: undefined,
+			},
+			{
+				type: 'message',
+				data: '{"c":"é"}',
+				lastEventId: '',
+				retry: undefined,
+			},
+		], contentType);
+	}
+});
+
+test('parseServerSentEvents parses NDJSON with a terminator', async () => {
+	const {response, state} = createCancelTrackingResponse('{"done":false}\n{"done":true}\n{"extra":1}\n', {headers: {'Content-Type': 'application/x-ndjson'}});
+	const events = await collectStream(parseServerSentEvents(response, {terminator: event => JSON.parse(event.data).done, includeTerminator: true}));
+
+	assert.deepEqual(events.map(event => event.data), ['{"done":false}', '{"done":true}']);
+	await setTimeout(10);
+	assert.ok(state.isCancelled);
+});
+
+test('format option overrides Content-Type detection', async () => {
+	const forced = await collectStream(parseServerSentEvents(createResponse('{"a":1}\n', {headers: {'Content-Type': 'text/plain'}}), {format: 'ndjson'}));
+	assert.deepEqual(forced.map(event => event.data), ['{"a":1}']);
+
+	const eventStream = await collectStream(parseServerSentEvents(createNdjsonResponse('data: a\n\n'), {format: 'event-stream'}));
+	assert.deepEqual(eventStream.map(event => event.data), ['a']);
+});
+
+test('validate accepts NDJSON Content-Types depending on the format', async () => {
+	const events = await collectStream(parseServerSentEvents(createNdjsonResponse('{"a":1}\n'), {validate: true}));
+	assert.equal(events.length, 1);
+
+	await assert.rejects(collectStream(parseServerSentEvents(createNdjsonResponse('{"a":1}\n'), {validate: true, format: 'event-stream'})), {
+		name: 'ServerSentEventResponseError',
+		message: 'Expected Content-Type text/event-stream, got application/x-ndjson',
+	});
+
+	await assert.rejects(collectStream(parseServerSentEvents(createEventStreamResponse('data: a\n\n'), {validate: true, format: 'ndjson'})), {
+		name: 'ServerSentEventResponseError',
+		message: 'Expected an NDJSON Content-Type like application/x-ndjson, got text/event-stream',
+	});
+});
+
+test('format option is validated', () => {
+	assert.throws(() => parseServerSentEvents(createResponse(''), {format: 'json'}), {
+		name: 'TypeError',
+		message: 'Expected `format` to be one of \'auto\', \'event-stream\', \'ndjson\'',
+	});
+});
@@ -0,0 +1,144 @@
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {ServerSentEventRecorderStream, createServerSentEventReplayResponse} from '../index.js';
+import {createResponse, collectEvents, collectStream} from './_utilities.js';
+
+// Helper to create a stream that emits the chunks with a delay before each
+function createDelayedStream(steps) {
+	let index = 0;
+
+	return new ReadableStream({
+		async pull(controller) {
+			if (index >= steps.length) {
+				controller.close();
+				return;
+			}
+
+			const [milliseconds, chunk] = steps[index++];
+			await setTimeout(milliseconds);
+			controller.enqueue(chunk);
+		},
+	}, {highWaterMark: 0});
+}
+
+test('ServerSentEventRecorderStream records chunks, timing, and events', async () => {
+	const encoder = new TextEncoder();
+	const bytes = encoder.encode('data: é\n\n');
+	const recorder = new ServerSentEventRecorderStream();
+
+	const chunks = await collectStream(createDelayedStream([
+		[0, encoder.encode('id: 1\ndata: a\n\n')],
+		[30, bytes.subarray(0, 7)],
+		[0, bytes.subarray(7)],
+	]).pipeThrough(recorder));
+
+	assert.deepEqual(chunks.map(chunk => [...chunk]), [
+		[...encoder.encode('id: 1\ndata: a\n\n')],
+		[...bytes.subarray(0, 7)],
+		[...bytes.subarray(7)],
+	]);
+
+	const {version, chunks: recordedChunks, events} = recorder.recording;
+
+	assert.equal(version, 1);
+	assert.equal(recordedChunks[0].text, 'id: 1\ndata: a\n\n');
+	assert.deepEqual(recordedChunks[1].bytes, [...bytes.subarray(0, 7)]);
+	assert.deepEqual(recordedChunks[2].bytes, [...bytes.subarray(7)]);
+	assert.ok(recordedChunks[1].time - recordedChunks[0].time >= 25);
+
+	assert.deepEqual(events.map(event => [event.data, event.lastEventId]), [['a', '1'], ['é', '1']]);
+});
+
+test('createServerSentEventReplayResponse replays the same chunks and events', async () => {
+	const recorder = new ServerSentEventRecorderStream();
+	const original = createResponse('event: update\ndata: 1\n\ndata: 2\n\n');
+	await collectEvents(new Response(original.body.pipeThrough(recorder), original));
+
+	const json = JSON.stringify(recorder.recording);
+	const recording = JSON.parse(json);
+	const response = createServerSentEventReplayResponse(recording, {speed: Number.POSITIVE_INFINITY});
+
+	assert.equal(response.status, 200);
+	assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+
+	const events = await collectEvents(response);
+	assert.deepEqual(events.map(event => [event.type, event.data]), [['update', '1'], ['message', '2']]);
+	assert.deepEqual(recording.events.map(event => [event.type, event.data]), [['update', '1'], ['message', '2']]);
+});
+
+test('createServerSentEventReplayResponse keeps chunk boundaries', async () => {
+	const recording = {
+		version: 1,
+		chunks: [
+			{time: 0, text: 'data: a\r'},
+			{time: 0, bytes: [0x0A, 0x64, 0x61, 0x74, 0x61, 0x3A, 0x20, 0xC3]},
+			{time: 0, bytes: [0xA9, 0x0A, 0x0A]},
+		],
+		events: [],
+	};
+
+	const chunks = await collectStream(createServerSentEventReplayResponse(recording).body);
+
+	assert.deepEqual(chunks.map(chunk => [...chunk]), [
+		[...new TextEncoder().encode('data: a\r')],
+		[0x0A, 0x64, 0x61, 0x74, 0x61, 0x3A, 0x20, 0xC3],
+		[0xA9, 0x0A, 0x0A],
+	]);
+});
+
+test('createServerSentEventReplayResponse replays with scaled timing', async () => {
+	const recording = {
+		version: 1,
+		chunks: [
+			{time: 0, text: 'data: a\n\n'},
+			{time: 100, text: 'data: b\n\n'},
+		],
+		events: [],
+	};
+
+	let start = performance.now();
+	await collectEvents(createServerSentEventReplayResponse(recording));
+	const originalDuration = performance.now() - start;
+
+	start = performance.now();
+	await collectEvents(createServerSentEventReplayResponse(recording, {speed: 4}));
+	const scaledDuration = performance.now() - start;
+
+	assert.ok(originalDuration >= 90, `Took ${originalDuration} ms`);
+	assert.ok(scaledDuration >= 20 && scaledDuration < 90, `Took ${scaledDuration} ms`);
+});
+
+test('createServerSentEventReplayResponse stops waiting when cancelled', async () => {
+	const recording = {version: 1, chunks: [{time: 10_000, text: 'data: a\n\n'}], events: []};
+	const reader = createServerSentEventReplayResponse(recording).body.getReader();
+
+	const read = reader.read();
+	await setTimeout(10);
+	await reader.cancel();
+
+	assert.deepEqual(await read, {done: true, value: undefined});
+});
+
+test('createServerSentEventReplayResponse throws for invalid input', () => {
+	assert.throws(() => {
+		createServerSentEventReplayResponse({chunks: []});
+	}, {
+		name: 'TypeError',
+		message: 'Expected a recording with `version` 1 and a `chunks` array',
+	});
+
+	assert.throws(() => {
+		createServerSentEventReplayResponse({version: 1, chunks: []}, {speed: 0});
+	}, {
+		name: 'TypeError',
+		message: 'Expected `speed` to be a positive number',
+	});
+
+	assert.throws(() => {
+		createServerSentEventReplayResponse({version: 1, chunks: [{time: 0}]});
+	}, {
+		name: 'TypeError',
+		message: 'Expected a recorded chunk to have a `text` or `bytes` property',
+	});
+});
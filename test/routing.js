@@ -0,0 +1,113 @@
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseServerSentEvents, routeServerSentEvents, splitServerSentEvents} from '../index.js';
+import {createResponse, collectStream, createCancelTrackingResponse} from './_utilities.js';
+
+test('routeServerSentEvents calls handlers by type', async () => {
+	const response = createResponse('event: update\ndata: 1\n\n: comment\n\nevent: delete\ndata: 2\n\ndata: 3\n\nevent: update\ndata: 4\n\n');
+	const calls = [];
+
+	await routeServerSentEvents(parseServerSentEvents(response, {includeComments: true}), {
+		async update(event) {
+			await setTimeout(5);
+			calls.push(`update:${event.data}`);
+		},
+		message(event) {
+			calls.push(`message:${event.data}`);
+		},
+		'*'(event) {
+			calls.push(`*:${event.type}:${event.data}`);
+		},
+	});
+
+	assert.deepEqual(calls, ['update:1', '*:delete:2', 'message:3', 'update:4']);
+});
+
+test('routeServerSentEvents skips events without a handler', async () => {
+	const calls = [];
+
+	await routeServerSentEvents(parseServerSentEvents(createResponse('event: update\ndata: 1\n\ndata: 2\n\n')), {
+		update(event) {
+			calls.push(event.data);
+		},
+	});
+
+	assert.deepEqual(calls, ['1']);
+});
+
+test('routeServerSentEvents cancels the stream when a handler throws', async () => {
+	const {response, state} = createCancelTrackingResponse('data: 1\n\n');
+
+	await assert.rejects(routeServerSentEvents(parseServerSentEvents(response), {
+		message() {
+			throw new Error('Handler failed');
+		},
+	}), {message: 'Handler failed'});
+
+	await setTimeout(10);
+	assert.ok(state.isCancelled);
+});
+
+test('routeServerSentEvents throws for invalid handlers', async () => {
+	await assert.rejects(routeServerSentEvents(parseServerSentEvents(createResponse('')), undefined), {
+		name: 'TypeError',
+		message: 'Expected `handlers` to be an object',
+	});
+});
+
+test('splitServerSentEvents splits events by type', async () => {
+	const response = createResponse('event: update\ndata: 1\n\nevent: delete\ndata: 2\n\n: comment\n\nevent: other\ndata: 3\n\nevent: update\ndata: 4\n\n');
+	const {update, delete: deletions, '*': rest} = splitServerSentEvents(parseServerSentEvents(response, {includeComments: true}), ['update', 'delete', '*']);
+
+	const [updates, deleted, others] = await Promise.all([collectStream(update), collectStream(deletions), collectStream(rest)]);
+
+	assert.deepEqual(updates.map(event => event.data), ['1', '4']);
+	assert.deepEqual(deleted.map(event => event.data), ['2']);
+	assert.deepEqual(others.map(event => event.data), ['3']);
+});
+
+test('splitServerSentEvents buffers events for streams that are read later', async () => {
+	const response = createResponse('event: a\ndata: 1\n\nevent: b\ndata: 2\n\nevent: a\ndata: 3\n\nevent: c\ndata: 4\n\n');
+	const {a, b} = splitServerSentEvents(parseServerSentEvents(response), ['a', 'b']);
+
+	const eventsA = await collectStream(a);
+	const eventsB = await collectStream(b);
+
+	assert.deepEqual(eventsA.map(event => event.data), ['1', '3']);
+	assert.deepEqual(eventsB.map(event => event.data), ['2']);
+});
+
+test('splitServerSentEvents cancels the source when all streams are cancelled', async () => {
+	const {response, state} = createCancelTrackingResponse('event: a\ndata: 1\n\n');
+	const {a, b} = splitServerSentEvents(parseServerSentEvents(response), ['a', 'b']);
+
+	await a.cancel();
+	assert.ok(!state.isCancelled);
+
+	await b.cancel();
+	await setTimeout(10);
+	assert.ok(state.isCancelled);
+});
+
+test('splitServerSentEvents errors all streams when the source errors', async () => {
+	const events = new ReadableStream({
+		start(controller) {
+			controller.error(new Error('Connection lost'));
+		},
+	});
+
+	const {a, b} = splitServerSentEvents(events, ['a', 'b']);
+
+	await assert.rejects(collectStream(a), {message: 'Connection lost'});
+	await assert.rejects(collectStream(b), {message: 'Connection lost'});
+});
+
+test('splitServerSentEvents throws for invalid types', () => {
+	assert.throws(() => {
+		splitServerSentEvents(parseServerSentEvents(createResponse('')), []);
+	}, {
+		name: 'TypeError',
+		message: 'Expected `types` to be a non-empty array of strings',
+	});
+});
@@ -0,0 +1,1389 @@
+import {Buffer} from 'node:buffer';
+import {readFile} from 'node:fs/promises';
+import {setTimeout} from 'node:timers/promises';
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+	parseServerSentEvents,
+	parseServerSentEventsSync,
+	parseServerSentEventsFrom,
+	ServerSentEventTransformStream,
+	ServerSentEventByteTransformStream,
+	ServerSentEventNdjsonTransformStream,
+	ServerSentEventIncompleteError,
+	ServerSentEventLimitError,
+} from '../index.js';
+import {
+	createResponse,
+	collectEvents,
+	collectStream,
+	parseBytes,
+	parseText,
+	createTimedResponse,
+} from './_utilities.js';
+
+test('basic message', async () => {
+	const response = createResponse('data: hello\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].type, 'message');
+	assert.equal(events[0].data, 'hello');
+	assert.equal(events[0].lastEventId, ''); // No id: field set yet
+	assert.equal(events[0].retry, undefined);
+});
+
+test('multiple messages', async () => {
+	const response = createResponse('data: first\n\ndata: second\n\ndata: third\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 3);
+	assert.equal(events[0].data, 'first');
+	assert.equal(events[1].data, 'second');
+	assert.equal(events[2].data, 'third');
+});
+
+test('multi-line data', async () => {
+	const response = createResponse('data: line 1\ndata: line 2\ndata: line 3\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'line 1\nline 2\nline 3');
+});
+
+test('event type', async () => {
+	const response = createResponse('event: update\ndata: some data\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].type, 'update');
+	assert.equal(events[0].data, 'some data');
+});
+
+test('event id', async () => {
+	const response = createResponse('id: 123\ndata: message\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].lastEventId, '123');
+	assert.equal(events[0].data, 'message');
+});
+
+test('retry field', async () => {
+	const response = createResponse('retry: 5000\ndata: message\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].retry, 5000);
+	assert.equal(events[0].data, 'message');
+});
+
+test('all fields combined', async () => {
+	const response = createResponse('event: update\nid: 42\nretry: 3000\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].type, 'update');
+	assert.equal(events[0].lastEventId, '42');
+	assert.equal(events[0].retry, 3000);
+	assert.equal(events[0].data, 'test');
+});
+
+test('comments are ignored', async () => {
+	const response = createResponse(': comment\ndata: message\n: another comment\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'message');
+});
+
+test('leading space in value is removed', async () => {
+	const response = createResponse('data:  hello\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, ' hello'); // Only first space is removed
+});
+
+test('value without leading space', async () => {
+	const response = createResponse('data:hello\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'hello');
+});
+
+test('empty data field is not dispatched', async () => {
+	const response = createResponse('data:\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 0);
+});
+
+test('CRLF line endings', async () => {
+	const response = createResponse('data: hello\r\n\r\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'hello');
+});
+
+test('CR line endings', async () => {
+	const response = createResponse('data: hello\r\r');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'hello');
+});
+
+test('mixed line endings', async () => {
+	const response = createResponse('data: first\r\n\r\ndata: second\n\ndata: third\r\r');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 3);
+	assert.equal(events[0].data, 'first');
+	assert.equal(events[1].data, 'second');
+	assert.equal(events[2].data, 'third');
+});
+
+test('event type resets after dispatch', async () => {
+	const response = createResponse('event: custom\ndata: first\n\ndata: second\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[0].type, 'custom');
+	assert.equal(events[1].type, 'message'); // Should reset to default
+});
+
+test('invalid retry is ignored', async () => {
+	const response = createResponse('retry: invalid\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].retry, undefined);
+});
+
+test('field without colon is ignored', async () => {
+	const response = createResponse('invalid field\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'test');
+});
+
+test('unknown field is ignored', async () => {
+	const response = createResponse('unknown: value\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'test');
+});
+
+test('empty event without data is not dispatched', async () => {
+	const response = createResponse('\n\ndata: test\n\n\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'test');
+});
+
+test('JSON data parsing', async () => {
+	const response = createResponse('data: {"message":"hello","count":42}\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	const parsed = JSON.parse(events[0].data);
+	assert.equal(parsed.message, 'hello');
+	assert.equal(parsed.count, 42);
+});
+
+test('OpenAI-style [DONE] message', async () => {
+	const response = createResponse('data: {"delta":"text"}\n\ndata: [DONE]\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[1].data, '[DONE]');
+});
+
+test('chunked data across multiple reads', async () => {
+	const encoder = new TextEncoder();
+	const chunks = [
+		'data: part',
+		' 1\ndata: par',
+		't 2\n\n',
+	];
+
+	let chunkIndex = 0;
+	const stream = new ReadableStream({
+		start(controller) {
+			const interval = setInterval(() => {
+				if (chunkIndex < chunks.length) {
+					controller.enqueue(encoder.encode(chunks[chunkIndex++]));
+				} else {
+					clearInterval(interval);
+					controller.close();
+				}
+			}, 10);
+		},
+	});
+
+	const response = new Response(stream);
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'part 1\npart 2');
+});
+
+test('throws TypeError for response without body', async () => {
+	await assert.rejects(
+		async () => {
+			for await (const _ of parseServerSentEvents({body: null})) {
+				// Should not reach here
+			}
+		},
+		{
+			name: 'TypeError',
+			message: 'Expected response to have a body',
+		},
+	);
+});
+
+test('handles final event without trailing newline', async () => {
+	const response = createResponse('data: hello');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'hello');
+});
+
+test('preserves event state across chunks', async () => {
+	const encoder = new TextEncoder();
+	const chunks = [
+		'event: update\n',
+		'id: 123\n',
+		'data: message\n',
+		'\n',
+	];
+
+	let chunkIndex = 0;
+	const stream = new ReadableStream({
+		start(controller) {
+			const interval = setInterval(() => {
+				if (chunkIndex < chunks.length) {
+					controller.enqueue(encoder.encode(chunks[chunkIndex++]));
+				} else {
+					clearInterval(interval);
+					controller.close();
+				}
+			}, 10);
+		},
+	});
+
+	const response = new Response(stream);
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].type, 'update');
+	assert.equal(events[0].lastEventId, '123');
+	assert.equal(events[0].data, 'message');
+});
+
+test('strips BOM from start of stream', async () => {
+	const response = createResponse('\uFEFFdata: hello\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'hello');
+});
+
+test('BOM in middle of stream is part of data', async () => {
+	const response = createResponse('data: first\n\ndata: \uFEFFsecond\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[0].data, 'first');
+	assert.equal(events[1].data, '\uFEFFsecond');
+});
+
+test('ignores id field with NULL character', async () => {
+	const response = createResponse('id: test\0null\ndata: message\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].lastEventId, ''); // NULL character causes id: field to be ignored, lastEventId remains empty
+	assert.equal(events[0].data, 'message');
+});
+
+test('accepts id field without NULL character', async () => {
+	const response = createResponse('id: valid-id\ndata: message\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].lastEventId, 'valid-id');
+});
+
+test('field without colon is ignored', async () => {
+	const response = createResponse('fieldwithoutcolon\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'test');
+});
+
+test('empty event type defaults to message', async () => {
+	const response = createResponse('event:\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].type, 'message');
+});
+
+test('empty retry value is ignored', async () => {
+	const response = createResponse('retry:\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].retry, undefined);
+});
+
+test('invalid retry value with trailing text is ignored', async () => {
+	const response = createResponse('retry: 2000x\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].retry, undefined);
+});
+
+test('multiple spaces after colon only first is stripped', async () => {
+	const response = createResponse('data:  two spaces\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, ' two spaces');
+});
+
+test('handles unicode emoji in data', async () => {
+	const response = createResponse('data: Hello 👋 World 🌍\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'Hello 👋 World 🌍');
+});
+
+test('handles multibyte characters', async () => {
+	const response = createResponse('data: 你好世界\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, '你好世界');
+});
+
+test('handles large message', async () => {
+	const largeData = 'x'.repeat(100_000);
+	const response = createResponse(`data: ${largeData}\n\n`);
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, largeData);
+});
+
+test('colon in field value is preserved', async () => {
+	const response = createResponse('data: http://example.com\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'http://example.com');
+});
+
+test('data field with only colon is not dispatched', async () => {
+	const response = createResponse('data:\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 0);
+});
+
+test('data field with colon and space is not dispatched', async () => {
+	const response = createResponse('data: \n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 0);
+});
+
+test('stream with only comments yields no events', async () => {
+	const response = createResponse(': comment 1\n: comment 2\n: comment 3\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 0);
+});
+
+test('comment without trailing newline yields no events', async () => {
+	const response = createResponse(': comment without newline');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 0);
+});
+
+test('empty stream yields no events', async () => {
+	const response = createResponse('');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 0);
+});
+
+test('multiple consecutive blank lines', async () => {
+	const response = createResponse('data: test\n\n\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'test');
+});
+
+test('blank lines between events', async () => {
+	const response = createResponse('data: first\n\n\n\ndata: second\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[0].data, 'first');
+	assert.equal(events[1].data, 'second');
+});
+
+test('ServerSentEventTransformStream throws on byte chunks', async () => {
+	const encoder = new TextEncoder();
+	const stream = new ReadableStream({
+		start(controller) {
+			controller.enqueue(encoder.encode('data: test\n\n'));
+			controller.close();
+		},
+	});
+
+	const response = new Response(stream);
+
+	await assert.rejects(
+		async () => {
+			// eslint-disable-next-line no-unused-vars
+			for await (const event of response.body.pipeThrough(new ServerSentEventTransformStream())) {
+				// Should not reach here
+			}
+		},
+		{
+			name: 'TypeError',
+			message: 'ServerSentEventTransformStream expects string chunks. Pipe through TextDecoderStream first for byte streams.',
+		},
+	);
+});
+
+test('field with only whitespace is treated as unknown field', async () => {
+	const response = createResponse('   \ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'test');
+});
+
+test('event persists across multiple data fields until blank line', async () => {
+	const response = createResponse('event: update\ndata: line1\ndata: line2\ndata: line3\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].type, 'update');
+	assert.equal(events[0].data, 'line1\nline2\nline3');
+});
+
+test('lastEventId persists across multiple events', async () => {
+	const response = createResponse('id: 123\ndata: first\n\ndata: second\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[0].lastEventId, '123'); // First event sets lastEventId
+	assert.equal(events[1].lastEventId, '123'); // Second event inherits lastEventId (per spec)
+});
+
+test('lastEventId updates when new id field appears', async () => {
+	const response = createResponse('id: 123\ndata: first\n\nid: 456\ndata: second\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[0].lastEventId, '123'); // First event has lastEventId: 123
+	assert.equal(events[1].lastEventId, '456'); // Second event updates lastEventId to 456
+});
+
+test('empty id value resets lastEventId to empty string', async () => {
+	const response = createResponse('id: 123\ndata: first\n\nid:\ndata: second\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[0].lastEventId, '123');
+	assert.equal(events[1].lastEventId, ''); // Empty id: resets lastEventId to empty string
+});
+
+test('multiple id fields in same event - last wins', async () => {
+	const response = createResponse('id: first\nid: second\nid: third\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].lastEventId, 'third'); // Last id: wins
+});
+
+test('lastEventId from non-dispatched event persists to next event', async () => {
+	const response = createResponse('id: 123\n\ndata: test\n\n');
+	const events = await collectEvents(response);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].lastEventId, '123'); // LastEventId persists from non-dispatched event (per spec)
+});
+
+test('ServerSentEventTransformStream accepts initial lastEventId', async () => {
+	const stream = ReadableStream.from(['data: test\n\n'])
+		.pipeThrough(new ServerSentEventTransformStream({lastEventId: 'resume'}));
+
+	const events = await collectStream(stream);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].lastEventId, 'resume');
+});
+
+test('trailingEvent dispatch keeps incomplete final event', async () => {
+	const response = createResponse('data: complete\n\ndata: partial');
+	const events = await collectStream(parseServerSentEvents(response, {trailingEvent: 'dispatch'}));
+
+	assert.deepEqual(events.map(event => event.data), ['complete', 'partial']);
+});
+
+test('trailingEvent discard drops incomplete final event', async () => {
+	const response = createResponse('data: complete\n\ndata: {"partial":');
+	const events = await collectStream(parseServerSentEvents(response, {trailingEvent: 'discard'}));
+
+	assert.deepEqual(events.map(event => event.data), ['complete']);
+});
+
+test('trailingEvent discard drops event terminated by a single newline', async () => {
+	const response = createResponse('data: partial\n');
+	const events = await collectStream(parseServerSentEvents(response, {trailingEvent: 'discard'}));
+
+	assert.equal(events.length, 0);
+});
+
+test('trailingEvent error surfaces the incomplete event', async () => {
+	const response = createResponse('data: complete\n\nevent: update\nid: 7\ndata: partial');
+	const events = [];
+
+	await assert.rejects(async () => {
+		for await (const event of parseServerSentEvents(response, {trailingEvent: 'error'})) {
+			events.push(event);
+		}
+	}, error => {
+		assert.ok(error instanceof ServerSentEventIncompleteError);
+		assert.equal(error.message, 'The stream ended with an incomplete event');
+		assert.deepEqual(error.event, {
+			type: 'update',
+			data: 'partial',
+			lastEventId: '7',
+			retry: undefined,
+		});
+		return true;
+	});
+
+	assert.deepEqual(events.map(event => event.data), ['complete']);
+});
+
+test('trailingEvent error ignores trailing lines without data', async () => {
+	const response = createResponse('data: complete\n\nevent: update\n: comment');
+	const events = await collectStream(parseServerSentEvents(response, {trailingEvent: 'error'}));
+
+	assert.equal(events.length, 1);
+});
+
+test('trailingEvent throws for invalid value', () => {
+	assert.throws(() => {
+		new ServerSentEventTransformStream({trailingEvent: 'ignore'}); // eslint-disable-line no-new
+	}, {
+		name: 'TypeError',
+		message: 'Expected `trailingEvent` to be one of: dispatch, discard, error',
+	});
+});
+
+test('ServerSentEventByteTransformStream parses byte chunks', async () => {
+	const encoder = new TextEncoder();
+	const events = await parseBytes([encoder.encode('event: update\nid: 1\ndata: hello\n\n')]);
+
+	assert.deepEqual(events, [{
+		type: 'update',
+		data: 'hello',
+		lastEventId: '1',
+		retry: undefined,
+	}]);
+});
+
+test('ServerSentEventByteTransformStream handles UTF-8 sequences split across chunks', async () => {
+	const bytes = new TextEncoder().encode('data: 你好 👋\n\n');
+	const chunks = [...bytes].map(byte => new Uint8Array([byte]));
+	const events = await parseBytes(chunks);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, '你好 👋');
+});
+
+test('ServerSentEventByteTransformStream strips BOM split across chunks', async () => {
+	const events = await parseBytes([
+		new Uint8Array([0xEF]),
+		new Uint8Array([0xBB, 0xBF]),
+		new TextEncoder().encode('data: hello\n\n'),
+	]);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'hello');
+});
+
+test('ServerSentEventByteTransformStream keeps BOM after the start of the stream', async () => {
+	const encoder = new TextEncoder();
+	const events = await parseBytes([encoder.encode('data: first\n\ndata: \uFEFFsecond\n\n')]);
+
+	assert.equal(events.length, 2);
+	assert.equal(events[1].data, '\uFEFFsecond');
+});
+
+test('ServerSentEventByteTransformStream handles CRLF split across chunks', async () => {
+	const encoder = new TextEncoder();
+	const events = await parseBytes([
+		encoder.encode('data: first\r'),
+		encoder.encode('\ndata: second\r\n\r'),
+		encoder.encode('\n'),
+	]);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'first\nsecond');
+});
+
+test('ServerSentEventByteTransformStream replaces invalid UTF-8', async () => {
+	const events = await parseBytes([new Uint8Array([...new TextEncoder().encode('data: '), 0xFF, 0x0A, 0x0A])]);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, '\uFFFD');
+});
+
+test('ServerSentEventByteTransformStream accepts Node.js Buffer chunks', async () => {
+	const events = await parseBytes([Buffer.from('data: hel'), Buffer.from('lo\n\n')]);
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'hello');
+});
+
+test('ServerSentEventByteTransformStream supports options', async () => {
+	const events = await parseBytes([new TextEncoder().encode('data: partial')], {trailingEvent: 'discard'});
+
+	assert.equal(events.length, 0);
+});
+
+test('ServerSentEventByteTransformStream throws on string chunks', async () => {
+	await assert.rejects(parseBytes(['data: test\n\n']), {
+		name: 'TypeError',
+		message: 'ServerSentEventByteTransformStream expects Uint8Array chunks.',
+	});
+});
+
+test('ServerSentEventTransformStream parses a huge line arriving in many chunks in linear time', async () => {
+	// Few enough chunks that the stream machinery is cheap, but rescanning or copying the buffered line for each chunk would take seconds
+	const largeData = 'x'.repeat(8 * 1024 * 1024);
+	const text = `data: ${largeData}\n\n`;
+	const chunks = [];
+	for (let index = 0; index < text.length; index += 4096) {
+		chunks.push(text.slice(index, index + 4096));
+	}
+
+	const startTime = performance.now();
+	const events = await collectStream(ReadableStream.from(chunks).pipeThrough(new ServerSentEventTransformStream()));
+	const duration = performance.now() - startTime;
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, largeData);
+	assert.ok(duration < 1000, `Took ${Math.round(duration)} ms`);
+});
+
+test('maxLineLength errors on a line that never ends', async () => {
+	const encoder = new TextEncoder();
+	let chunkCount = 0;
+	const stream = new ReadableStream({
+		pull(controller) {
+			chunkCount++;
+			controller.enqueue(encoder.encode(chunkCount === 1 ? 'data: ' : 'x'.repeat(1024)));
+		},
+	});
+
+	await assert.rejects(collectStream(parseServerSentEvents(new Response(stream), {maxLineLength: 10_000})), error => {
+		assert.ok(error instanceof ServerSentEventLimitError);
+		assert.equal(error.message, 'The stream exceeded the `maxLineLength` limit of 10000');
+		assert.equal(error.option, 'maxLineLength');
+		assert.equal(error.limit, 10_000);
+		return true;
+	});
+
+	assert.ok(chunkCount < 40);
+});
+
+test('maxLineLength errors on a complete line that is too long', async () => {
+	await assert.rejects(parseText(['data: 0123456789\n\n'], {maxLineLength: 10}), {
+		name: 'ServerSentEventLimitError',
+	});
+});
+
+test('maxLineLength truncate keeps the start of the line', async () => {
+	const options = {maxLineLength: {limit: 10, action: 'truncate'}};
+
+	for (const events of [
+		await parseText(['data: 01', '23456789', '\n\ndata: ok\n\n'], options),
+		await parseBytes([new TextEncoder().encode('data: 0123456789\n\ndata: ok\n\n')], options),
+	]) {
+		assert.deepEqual(events.map(event => event.data), ['0123', 'ok']);
+	}
+});
+
+test('maxLineLength drop discards the event and reports it', async () => {
+	const reports = [];
+	const options = {
+		maxLineLength: {limit: 10, action: 'drop'},
+		onLimitExceeded(report) {
+			reports.push(report);
+		},
+	};
+
+	const events = await parseText(['event: big\ndata: ok\ndata: 0123', '456789\n\ndata: next\n\n'], options);
+
+	assert.deepEqual(events.map(event => event.data), ['next']);
+	assert.deepEqual(reports, [{option: 'maxLineLength', limit: 10, action: 'drop'}]);
+});
+
+test('maxLineLength counts characters for byte input', async () => {
+	const events = await parseBytes([new TextEncoder().encode('data: 你好你好\n\n')], {maxLineLength: 10});
+
+	assert.equal(events[0].data, '你好你好');
+});
+
+test('maxEventSize errors when data grows past the limit', async () => {
+	await assert.rejects(parseText(['data: 12345\ndata: 12345\n\n'], {maxEventSize: 10}), {
+		name: 'ServerSentEventLimitError',
+		option: 'maxEventSize',
+		limit: 10,
+	});
+});
+
+test('maxEventSize truncate keeps the start of the data', async () => {
+	const events = await parseText(['data: 12345\ndata: 67890\ndata: more\n\ndata: ok\n\n'], {maxEventSize: {limit: 8, action: 'truncate'}});
+
+	assert.deepEqual(events.map(event => event.data), ['12345\n67', 'ok']);
+});
+
+test('maxEventSize allows data of exactly the limit', async () => {
+	const reports = [];
+	const onLimitExceeded = report => {
+		reports.push(report);
+	};
+
+	assert.deepEqual(parseServerSentEventsSync('data: hello\n\n', {maxEventSize: 5}).map(event => event.data), ['hello']);
+	assert.deepEqual(parseServerSentEventsSync('data: a\ndata: b\n\n', {maxEventSize: 3}).map(event => event.data), ['a\nb']);
+	assert.deepEqual(parseServerSentEventsSync('data: hello\n\n', {maxEventSize: {limit: 5, action: 'truncate'}, onLimitExceeded}).map(event => event.data), ['hello']);
+	assert.deepEqual(parseServerSentEventsSync('data: hello\n\n', {maxEventSize: {limit: 5, action: 'drop'}, onLimitExceeded}).map(event => event.data), ['hello']);
+	assert.deepEqual(reports, []);
+
+	assert.throws(() => parseServerSentEventsSync('data: hello!\n\n', {maxEventSize: 5}), {name: 'ServerSentEventLimitError'});
+	assert.throws(() => parseServerSentEventsSync('data: a\ndata: bc\n\n', {maxEventSize: 3}), {name: 'ServerSentEventLimitError'});
+});
+
+test('maxEventSize truncate does not exceed the limit with the newline between data lines', async () => {
+	const events = parseServerSentEventsSync('data: abc\ndata: x\n\n', {maxEventSize: {limit: 3, action: 'truncate'}});
+
+	assert.deepEqual(events.map(event => event.data), ['abc']);
+});
+
+test('maxEventSize drop discards the event', async () => {
+	const reports = [];
+	const events = await parseText(['id: 1\ndata: 12345\ndata: 67890\n\ndata: ok\n\n'], {
+		maxEventSize: {limit: 8, action: 'drop'},
+		onLimitExceeded(report) {
+			reports.push(report);
+		},
+	});
+
+	assert.equal(events.length, 1);
+	assert.equal(events[0].data, 'ok');
+	assert.equal(events[0].lastEventId, '1'); // Fields of a dropped event still apply
+	assert.deepEqual(reports, [{option: 'maxEventSize', limit: 8, action: 'drop'}]);
+});
+
+test('maxEventsPerSecond drops events over the limit', async () => {
+	const reports = [];
+	const events = await parseText(['data: 1\n\ndata: 2\n\ndata: 3\n\n'], {
+		maxEventsPerSecond: {limit: 2, action: 'drop'},
+		onLimitExceeded(report) {
+			reports.push(report);
+		},
+	});
+
+	assert.deepEqual(events.map(event => event.data), ['1', '2']);
+	assert.deepEqual(reports, [{option: 'maxEventsPerSecond', limit: 2, action: 'drop'}]);
+});
+
+test('maxEventsPerSecond errors by default', async () => {
+	await assert.rejects(parseText(['data: 1\n\ndata: 2\n\n'], {maxEventsPerSecond: 1}), {
+		name: 'ServerSentEventLimitError',
+		option: 'maxEventsPerSecond',
+	});
+});
+
+test('limits throw for invalid options', () => {
+	assert.throws(() => {
+		new ServerSentEventTransformStream({maxLineLength: 0}); // eslint-disable-line no-new
+	}, {
+		name: 'TypeError',
+		message: 'Expected `maxLineLength` to be a positive number',
+	});
+
+	assert.throws(() => {
+		new ServerSentEventTransformStream({maxEventsPerSecond: {limit: 1, action: 'truncate'}}); // eslint-disable-line no-new
+	}, {
+		name: 'TypeError',
+		message: 'Unsupported `maxEventsPerSecond` action: truncate',
+	});
+});
+
+test('includeComments emits comment records', async () => {
+	const response = createResponse(': heartbeat\ndata: message\n:no space\n\n');
+	const events = await collectStream(parseServerSentEvents(response, {includeComments: true}));
+
+	assert.deepEqual(events, [
+		{kind: 'comment', text: 'heartbeat'},
+		{kind: 'comment', text: 'no space'},
+		{
+			type: 'message',
+			data: 'message',
+			lastEventId: '',
+			retry: undefined,
+		},
+	]);
+});
+
+test('includeExtensions attaches unknown fields to events', async () => {
+	const response = createResponse('x-vendor: 1\ndata: message\nx-vendor: 2\nflag\n\ndata: next\n\n');
+	const events = await collectStream(parseServerSentEvents(response, {includeExtensions: true}));
+
+	assert.equal(events.length, 2);
+	assert.deepEqual(events[0].extensions, new Map([['x-vendor', '1\n2'], ['flag', '']]));
+	assert.deepEqual(events[1].extensions, new Map());
+});
+
+test('maxEventSize limits the extension fields of an event', async () => {
+	const text = 'foo: xxxxxxxxxx\n'.repeat(1000) + 'data: a\n\n';
+
+	assert.throws(() => parseServerSentEventsSync(text, {includeExtensions: true, maxEventSize: 100}), {
+		name: 'ServerSentEventLimitError',
+		option: 'maxEventSize',
+		limit: 100,
+	});
+
+	const reports = [];
+	const onLimitExceeded = report => {
+		reports.push(report);
+	};
+
+	const truncated = parseServerSentEventsSync(text + 'foo: 1\ndata: b\n\n', {includeExtensions: true, maxEventSize: {limit: 100, action: 'truncate'}, onLimitExceeded});
+	assert.equal(truncated[0].extensions.get('foo'), Array.from({length: 10}, () => 'xxxxxxxxxx').join('\n').slice(0, 97));
+	assert.deepEqual(truncated[1].extensions, new Map([['foo', '1']]));
+	assert.deepEqual(reports, [{option: 'maxEventSize', limit: 100, action: 'truncate'}]);
+
+	reports.length = 0;
+	const dropped = parseServerSentEventsSync(text + 'data: b\n\n', {includeExtensions: true, maxEventSize: {limit: 100, action: 'drop'}, onLimitExceeded});
+	assert.deepEqual(dropped.map(event => event.data), ['b']);
+	assert.deepEqual(reports, [{option: 'maxEventSize', limit: 100, action: 'drop'}]);
+});
+
+test('maxEventSize limits many distinct extension fields together', () => {
+	const text = Array.from({length: 10_000}, (_, index) => `field${index}: xxxxxxxxxx\n`).join('') + 'data: a\n\n';
+	const options = {includeExtensions: true, maxLineLength: 100};
+
+	assert.throws(() => parseServerSentEventsSync(text, {...options, maxEventSize: 100}), {name: 'ServerSentEventLimitError'});
+
+	const reports = [];
+	const [event] = parseServerSentEventsSync(text, {
+		...options,
+		maxEventSize: {limit: 100, action: 'truncate'},
+		onLimitExceeded(report) {
+			reports.push(report);
+		},
+	});
+
+	assert.deepEqual([...event.extensions.keys()], ['field0', 'field1', 'field2', 'field3', 'field4', 'field5']);
+	assert.equal(event.extensions.get('field5'), 'xxxxxxxxxx');
+	assert.equal(reports.length, 1);
+});
+
+test('maxEventSize allows extension fields of exactly the limit', () => {
+	const events = parseServerSentEventsSync('foo: abc\nfoo: d\ndata: a\n\n', {includeExtensions: true, maxEventSize: 8});
+
+	assert.deepEqual(events[0].extensions, new Map([['foo', 'abc\nd']]));
+});
+
+test('default output has no comments or extensions', async () => {
+	const response = createResponse(': heartbeat\nx-vendor: 1\ndata: message\n\n');
+	const events = await collectEvents(response);
+
+	assert.deepEqual(events, [{
+		type: 'message',
+		data: 'message',
+		lastEventId: '',
+		retry: undefined,
+	}]);
+});
+
+const malformedStream = [
+	'data: a\n',
+	'retry: soon\n',
+	'id: a\0b\n',
+	'data : x\n',
+	'\uFEFFdata: y\n',
+	'foo: bar\n',
+	'\n',
+	'event: ping\n',
+	'\n',
+	'data: tail',
+].join('');
+
+const expectedDiagnostics = [
+	['invalid-retry', 2, 8, 'retry: soon'],
+	['id-contains-null', 3, 20, 'id: a\0b'],
+	['field-name-whitespace', 4, 28, 'data : x'],
+	['stray-bom', 5, 37, '\uFEFFdata: y'],
+	['unknown-field', 6, 46, 'foo: bar'],
+	['event-without-data', 9, 68, ''],
+	['incomplete-event', 10, 69, 'data: tail'],
+];
+
+test('onDiagnostic reports ignored and suspicious lines', async () => {
+	const diagnostics = [];
+	const events = await parseText([malformedStream], {
+		onDiagnostic(diagnostic) {
+			diagnostics.push(diagnostic);
+		},
+	});
+
+	assert.deepEqual(diagnostics.map(({code, line, offset, text}) => [code, line, offset, text]), expectedDiagnostics);
+	assert.equal(diagnostics[0].message, 'The `retry` field is not an integer and was ignored');
+	assert.equal(diagnostics[4].message, 'The unknown field `foo` was ignored');
+	assert.deepEqual(events.map(event => event.data), ['a', 'tail']);
+});
+
+test('onDiagnostic reports the same positions for any chunking', async () => {
+	const bytes = new TextEncoder().encode(malformedStream);
+
+	for (const chunkSize of [1, 2, 3, 7, bytes.length]) {
+		const byteChunks = [];
+		const textChunks = [];
+		for (let index = 0; index < bytes.length; index += chunkSize) {
+			byteChunks.push(bytes.subarray(index, index + chunkSize));
+		}
+
+		for (let index = 0; index < malformedStream.length; index += chunkSize) {
+			textChunks.push(malformedStream.slice(index, index + chunkSize));
+		}
+
+		const byteDiagnostics = [];
+		const textDiagnostics = [];
+		await parseBytes(byteChunks, {onDiagnostic: diagnostic => byteDiagnostics.push(diagnostic)}); // eslint-disable-line no-await-in-loop
+		await parseText(textChunks, {onDiagnostic: diagnostic => textDiagnostics.push(diagnostic)}); // eslint-disable-line no-await-in-loop
+
+		// The BOM is three bytes but one character
+		const expectedByteDiagnostics = expectedDiagnostics.map(([code, line, offset, text]) => [code, line, line > 5 ? offset + 2 : offset, text]);
+
+		assert.deepEqual(byteDiagnostics.map(({code, line, offset, text}) => [code, line, offset, text]), expectedByteDiagnostics, `Chunk size ${chunkSize}`);
+		assert.deepEqual(textDiagnostics.map(({code, line, offset, text}) => [code, line, offset, text]), expectedDiagnostics, `Chunk size ${chunkSize}`);
+	}
+});
+
+test('onDiagnostic does not report extensions', () => {
+	const diagnostics = [];
+	parseServerSentEventsSync('foo: bar\ndata: a\n\n', {
+		includeExtensions: true,
+		onDiagnostic(diagnostic) {
+			diagnostics.push(diagnostic);
+		},
+	});
+
+	assert.deepEqual(diagnostics, []);
+});
+
+test('onDiagnostic throws for an invalid value', () => {
+	assert.throws(() => {
+		parseServerSentEventsSync('', {onDiagnostic: true});
+	}, {
+		name: 'TypeError',
+		message: 'Expected `onDiagnostic` to be a function',
+	});
+});
+
+test('includeRaw attaches the source lines to events and comments', async () => {
+	const text = '\uFEFFid: 1\r\n: hi\r\ndata: é\r\ndata: b\r\n\r\ndata: c';
+	const bytes = new TextEncoder().encode(text);
+	const options = {includeRaw: true, includeComments: true};
+
+	const textEvents = await parseText([text], options);
+	const byteEvents = await parseBytes([...bytes].map(byte => new Uint8Array([byte])), options);
+
+	assert.deepEqual(textEvents.map(event => event.raw), [
+		{line: 2, offset: 8, lines: [': hi']},
+		{line: 1, offset: 1, lines: ['id: 1', ': hi', 'data: é', 'data: b']},
+		{line: 6, offset: 34, lines: ['data: c']},
+	]);
+
+	assert.deepEqual(byteEvents.map(event => event.raw), [
+		{line: 2, offset: 10, lines: [': hi']},
+		{line: 1, offset: 3, lines: ['id: 1', ': hi', 'data: é', 'data: b']},
+		{line: 6, offset: 37, lines: ['data: c']},
+	]);
+
+	assert.deepEqual(parseServerSentEventsSync(text, options), textEvents);
+});
+
+test('includeRaw limits the lines like the data', () => {
+	const text = 'data: 12345\n' + ': padding\n'.repeat(1000) + 'data: ok\n\n';
+
+	const events = parseServerSentEventsSync(text, {includeRaw: true, maxEventSize: 30});
+	assert.equal(events[0].data, '12345\nok');
+	assert.deepEqual(events[0].raw.lines, ['data: 12345', ': padding', ': paddin']);
+
+	const longLine = parseServerSentEventsSync('data: 1234567890\ndata: ok\n\n', {includeRaw: true, maxLineLength: {limit: 10, action: 'truncate'}});
+	assert.deepEqual(longLine[0].raw.lines, ['data: 1234', 'data: ok']);
+
+	const dropped = parseServerSentEventsSync('data: 1234567890\n' + ': padding\n'.repeat(1000) + '\ndata: ok\n\n', {includeRaw: true, maxEventSize: {limit: 8, action: 'drop'}});
+	assert.deepEqual(dropped.map(event => event.raw.lines), [['data: ok']]);
+});
+
+const chunkBoundaryFixtures = [
+	'data: hello\n\n',
+	'data: first\n\ndata: second\n\ndata: third\n\n',
+	'data: line1\ndata: line2\ndata: line3\n\n',
+	'event: update\nid: 1\nretry: 3000\ndata: {"a":1}\n\n',
+	'data: crlf\r\n\r\ndata: cr\r\rdata: lf\n\n',
+	'data: a\r\ndata: b\r\n\r\n',
+	'data: a\r\rdata: b\r\r',
+	'data: a\r\n\ndata: b\n\r\n',
+	'\r\n\r\ndata: leading blank lines\r\n\r\n',
+	'\uFEFFdata: bom\r\n\r\n',
+	': comment\r\ndata: after comment\r\n\r\n',
+	'data\r\ndata:\r\ndata: \r\n\r\n',
+	'data:no space\n\ndata:  two spaces\n\n',
+	'id: 1\ndata: a\n\nid\ndata: b\n\nid: 2\n\ndata: c\n\n',
+	'data: 日本語 🎉\r\n\r\ndata: café\r\n\r\n',
+	'data: trailing\r\ndata: event',
+	'data: trailing cr\r',
+	'data: abc\n\ndata: 1\n\ndata: 2\n\ndata: 3\n\ndata: 4\n\ndata: 5\n\n',
+];
+
+function splitText(text, offsets) {
+	const chunks = [];
+	let start = 0;
+	for (const offset of [...offsets, text.length]) {
+		chunks.push(text.slice(start, offset));
+		start = offset;
+	}
+
+	return chunks;
+}
+
+async function assertIndependentOfChunking(text, options) {
+	const expected = parseServerSentEventsSync(text, options);
+	const bytes = new TextEncoder().encode(text);
+	// With `includeRaw`, the byte parser reports offsets in bytes
+	const expectedFromBytes = await parseBytes([bytes], options);
+
+	for (let offset = 0; offset <= text.length; offset++) {
+		const events = await parseText(splitText(text, [offset]), options); // eslint-disable-line no-await-in-loop
+		assert.deepEqual(events, expected, `Text split at ${offset} of ${JSON.stringify(text.slice(0, 50))}`);
+	}
+
+	for (let offset = 0; offset <= bytes.length; offset++) {
+		const events = await parseBytes([bytes.subarray(0, offset), bytes.subarray(offset)], options); // eslint-disable-line no-await-in-loop
+		assert.deepEqual(events, expectedFromBytes, `Bytes split at ${offset} of ${JSON.stringify(text.slice(0, 50))}`);
+	}
+
+	assert.deepEqual(await parseText([...text], options), expected, 'Text in 1-character chunks');
+	assert.deepEqual(await parseBytes([...bytes].map(byte => new Uint8Array([byte])), options), expectedFromBytes, 'Bytes in 1-byte chunks');
+}
+
+test('text parser handles CRLF split across chunks', async () => {
+	const events = await parseText(['data: a\r', '\ndata: b\r', '\n\r', '\n']);
+
+	assert.deepEqual(events.map(event => event.data), ['a\nb']);
+});
+
+test('text parser strips a BOM after an empty first chunk', async () => {
+	const events = await parseText(['', '\uFEFFdata: a\n\n']);
+
+	assert.deepEqual(events.map(event => event.data), ['a']);
+});
+
+test('parsing is independent of chunk boundaries', async () => {
+	for (const text of chunkBoundaryFixtures) {
+		await assertIndependentOfChunking(text, {includeComments: true, includeRaw: true}); // eslint-disable-line no-await-in-loop
+	}
+});
+
+test('parsing with maxLineLength is independent of chunk boundaries', async () => {
+	for (const maxLineLength of [{limit: 10, action: 'truncate'}, {limit: 10, action: 'drop'}, {limit: 50}]) {
+		for (const text of chunkBoundaryFixtures) {
+			await assertIndependentOfChunking(text, {maxLineLength}); // eslint-disable-line no-await-in-loop
+		}
+	}
+});
+
+test('maxLineLength applies to each line when a chunk completes a buffered line', async () => {
+	const events = await parseBytes(['data: ab', 'c\n\ndata: 1\n\ndata: 2\n\ndata: 3\n\ndata: 4\n\ndata: 5\n\n'].map(text => new TextEncoder().encode(text)), {maxLineLength: {limit: 10}});
+
+	assert.deepEqual(events.map(event => event.data), ['abc', '1', '2', '3', '4', '5']);
+});
+
+test('parsing recorded fixtures is independent of chunk boundaries', async () => {
+	for (const name of ['openai.sse', 'anthropic.sse']) {
+		const text = await readFile(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'); // eslint-disable-line no-await-in-loop
+
+		for (const lineEnding of ['\n', '\r\n', '\r']) {
+			await assertIndependentOfChunking(text.replaceAll('\n', lineEnding)); // eslint-disable-line no-await-in-loop
+		}
+	}
+});
+
+// Helper to write chunks to a stream without ending it, and return the events with a JSON round trip of its state
+async function parseWithState(parser, chunks) {
+	const events = [];
+	const writer = parser.writable.getWriter();
+	parser.readable.pipeTo(new WritableStream({
+		write(event) {
+			events.push(event);
+		},
+	}));
+
+	for (const chunk of chunks) {
+		await writer.write(chunk); // eslint-disable-line no-await-in-loop
+	}
+
+	await setTimeout(0);
+	const json = JSON.stringify(parser.state);
+	return {events, state: JSON.parse(json)};
+}
+
+test('state continues parsing across streams at every offset', async () => {
+	for (const text of chunkBoundaryFixtures) {
+		const options = {includeComments: true, includeExtensions: true, includeRaw: true};
+		const expected = parseServerSentEventsSync(text, options);
+		const bytes = new TextEncoder().encode(text);
+		const expectedFromBytes = await parseBytes([bytes], options); // eslint-disable-line no-await-in-loop
+
+		for (let offset = 0; offset <= text.length; offset++) {
+			const first = await parseWithState(new ServerSentEventTransformStream(options), [text.slice(0, offset)]); // eslint-disable-line no-await-in-loop
+			const events = await parseText([text.slice(offset)], {...options, state: first.state}); // eslint-disable-line no-await-in-loop
+			assert.deepEqual([...first.events, ...events], expected, `Text split at ${offset} of ${JSON.stringify(text)}`);
+		}
+
+		for (let offset = 0; offset <= bytes.length; offset++) {
+			const first = await parseWithState(new ServerSentEventByteTransformStream(options), [bytes.slice(0, offset)]); // eslint-disable-line no-await-in-loop
+			const events = await parseBytes([bytes.slice(offset)], {...options, state: first.state}); // eslint-disable-line no-await-in-loop
+			assert.deepEqual([...first.events, ...events], expectedFromBytes, `Bytes split at ${offset} of ${JSON.stringify(text)}`);
+		}
+	}
+});
+
+test('state keeps truncated extension fields', async () => {
+	const reports = [];
+	const options = {
+		includeExtensions: true,
+		maxEventSize: {limit: 5, action: 'truncate'},
+		onLimitExceeded(report) {
+			reports.push(report);
+		},
+	};
+	const first = await parseWithState(new ServerSentEventTransformStream(options), ['foo: abcdef\n']);
+	const events = await parseText(['foo: g\ndata: a\n\n'], {...options, state: first.state});
+
+	assert.deepEqual(events[0].extensions, new Map([['foo', 'ab']]));
+	assert.equal(reports.length, 1);
+});
+
+test('state has the last event ID and reconnection time', async () => {
+	const {state} = await parseWithState(new ServerSentEventTransformStream(), ['retry: 5000\nid: 42\ndata: a\n\ndata: b\n\nid: 43\ndata: par']);
+
+	assert.equal(state.version, 1);
+	assert.equal(state.lastEventId, '43');
+	assert.equal(state.retry, 5000);
+	assert.deepEqual(state.buffer, {text: 'data: par'});
+
+	const events = await parseText(['tial\n\n'], {state});
+	assert.deepEqual(events, [{
+		type: 'message',
+		data: 'partial',
+		lastEventId: '43',
+		retry: undefined,
+	}]);
+});
+
+test('state takes precedence over `lastEventId`', async () => {
+	const {state} = await parseWithState(new ServerSentEventTransformStream(), ['id: 1\n\n']);
+	const events = await parseText(['data: a\n\n'], {state, lastEventId: '0'});
+
+	assert.equal(events[0].lastEventId, '1');
+});
+
+test('state of a byte stream keeps an incomplete UTF-8 sequence', async () => {
+	const bytes = new TextEncoder().encode('data: 日本\n\n');
+	const partial = bytes.slice(0, 8);
+	const {state} = await parseWithState(new ServerSentEventByteTransformStream(), [partial]);
+
+	assert.deepEqual(state.buffer, {bytes: [...partial]});
+
+	const events = await parseBytes([bytes.slice(8)], {state});
+	assert.equal(events[0].data, '日本');
+
+	// A text stream can continue from it too
+	const complete = await parseWithState(new ServerSentEventByteTransformStream(), [bytes.slice(0, 9)]);
+	const textEvents = await parseText(['\n\n'], {state: complete.state});
+	assert.equal(textEvents[0].data, '日');
+});
+
+test('state after the input ends is from before the end', async () => {
+	const parser = new ServerSentEventByteTransformStream({trailingEvent: 'discard'});
+	const events = await collectStream(ReadableStream.from([new TextEncoder().encode('data: a\n\ndata: b\ndata: pa')]).pipeThrough(parser));
+	const {state} = parser;
+
+	assert.deepEqual(events.map(event => event.data), ['a']);
+	assert.deepEqual(await parseBytes([new TextEncoder().encode('rtial\n\n')], {state}), [{
+		type: 'message',
+		data: 'b\npartial',
+		lastEventId: '',
+		retry: undefined,
+	}]);
+});
+
+test('state validates the snapshot', () => {
+	const invalidStates = [
+		{},
+		{version: 2},
+		{
+			version: 1,
+			lastEventId: '',
+			event: {},
+			buffer: {text: ''},
+		},
+	];
+
+	for (const state of invalidStates) {
+		assert.throws(() => new ServerSentEventTransformStream({state}), {
+			name: 'TypeError',
+			message: 'Expected `state` to be a parser state with `version` 1 from the `state` property of a transform stream',
+		});
+	}
+});
+
+test('includeMetadata attaches receive metadata to events', async () => {
+	const text = 'data: a\n\n: c\ndata: bc\r\n\r\ndata: 日\n\ndata: end';
+	const before = Date.now();
+
+	for (const events of [
+		await parseText([...text], {includeMetadata: true}),
+		parseServerSentEventsSync(text, {includeMetadata: true}),
+	]) {
+		assert.deepEqual(events.map(event => event.metadata.sequence), [1, 2, 3, 4]);
+		assert.deepEqual(events.map(event => event.metadata.size), [8, 14, 8, 9]);
+		assert.equal(events[0].metadata.sincePrevious, undefined);
+		assert.ok(events.slice(1).every(event => event.metadata.sincePrevious >= 0));
+		assert.ok(events.every(event => event.metadata.receivedAt >= before && event.metadata.receivedAt <= Date.now()));
+	}
+
+	const byteEvents = await parseBytes([new TextEncoder().encode(text)], {includeMetadata: true});
+	assert.deepEqual(byteEvents.map(event => event.metadata.size), [8, 14, 10, 9]);
+});
+
+test('includeMetadata measures the time since the previous event', async () => {
+	const response = createTimedResponse(['data: a\n\n', 50, 'data: b\n\n']);
+
+	const events = await collectStream(parseServerSentEvents(response, {includeMetadata: true}));
+
+	assert.ok(events[1].metadata.sincePrevious >= 40);
+});
+
+test('events have no metadata by default', async () => {
+	const events = await parseText(['data: a\n\n']);
+
+	assert.equal(events[0].metadata, undefined);
+});
+
+test('stats counts events and input', async () => {
+	const parser = new ServerSentEventByteTransformStream({maxEventsPerSecond: {limit: 2, action: 'drop'}});
+
+	assert.deepEqual(parser.stats, {
+		eventCount: 0,
+		receivedSize: 0,
+		eventsPerSecond: 0,
+		timeToFirstEvent: undefined,
+		maxEventSize: 0,
+	});
+
+	const bytes = new TextEncoder().encode('data: 日本\n\n: ping\n\ndata: a\ndata: b\n\ndata: dropped\n\n');
+	await collectStream(ReadableStream.from([bytes]).pipeThrough(parser));
+
+	const {stats} = parser;
+	assert.equal(stats.eventCount, 2);
+	assert.equal(stats.receivedSize, bytes.length);
+	assert.equal(stats.maxEventSize, 3);
+	assert.ok(stats.timeToFirstEvent >= 0);
+	assert.ok(stats.eventsPerSecond > 0);
+});
+
+test('stats maxEventSize is measured like the maxEventSize option', async () => {
+	const parser = new ServerSentEventTransformStream({maxEventSize: 5});
+	await collectStream(ReadableStream.from(['data: hello\n\ndata: a\ndata: b\n\n']).pipeThrough(parser));
+
+	assert.equal(parser.stats.maxEventSize, 5);
+});
+
+test('stats of a text stream counts characters', async () => {
+	const parser = new ServerSentEventTransformStream();
+	await collectStream(ReadableStream.from(['data: 日本\n', '\n']).pipeThrough(parser));
+
+	assert.equal(parser.stats.eventCount, 1);
+	assert.equal(parser.stats.receivedSize, 10);
+});
+
+test('ServerSentEventNdjsonTransformStream handles lines and characters split across chunks', async () => {
+	const bytes = new TextEncoder().encode('{"text":"日本"}\r\n{"text":"語"}');
+
+	for (let offset = 0; offset <= bytes.length; offset++) {
+		const input = ReadableStream.from([bytes.subarray(0, offset), bytes.subarray(offset)]);
+		const events = await collectStream(input.pipeThrough(new ServerSentEventNdjsonTransformStream({lastEventId: '7'}))); // eslint-disable-line no-await-in-loop
+
+		assert.deepEqual(events.map(event => [event.data, event.lastEventId]), [['{"text":"日本"}', '7'], ['{"text":"語"}', '7']], `Split at ${offset}`);
+	}
+});
+
+test('ServerSentEventNdjsonTransformStream applies maxLineLength', async () => {
+	const data = '{"a":1}\n{"long":"xxxxxxxxxx"}\n{"b":2}\n';
+
+	await assert.rejects(collectStream(parseServerSentEventsFrom(data, {format: 'ndjson', maxLineLength: 10})), {
+		name: 'ServerSentEventLimitError',
+		message: 'The stream exceeded the `maxLineLength` limit of 10',
+	});
+
+	const reports = [];
+	const events = await collectStream(parseServerSentEventsFrom(data, {
+		format: 'ndjson',
+		maxLineLength: {limit: 10, action: 'drop'},
+		onLimitExceeded(report) {
+			reports.push(report);
+		},
+	}));
+
+	assert.deepEqual(events.map(event => event.data), ['{"a":1}', '{"b":2}']);
+	assert.deepEqual(reports, [{option: 'maxLineLength', limit: 10, action: 'drop'}]);
+});
+
+test('ServerSentEventNdjsonTransformStream rejects non-byte chunks', async () => {
+	await assert.rejects(collectStream(ReadableStream.from(['{"a":1}\n']).pipeThrough(new ServerSentEventNdjsonTransformStream())), {
+		name: 'TypeError',
+		message: 'ServerSentEventNdjsonTransformStream expects Uint8Array chunks.',
+	});
+});
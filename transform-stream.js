@@ -0,0 +1,1068 @@
+import {encodeRecordedChunk, decodeRecordedChunk} from './utilities.js';
+
+const trailingEventModes = new Set(['dispatch', 'discard', 'error']);
+const limitActions = new Set(['error', 'truncate', 'drop']);
+
+/**
+Error thrown when a stream ends with an event that was not terminated by a blank line and the `trailingEvent` option is `'error'`.
+*/
+export class ServerSentEventIncompleteError extends Error {
+	name = 'ServerSentEventIncompleteError';
+
+	constructor(event) {
+		super('The stream ended with an incomplete event');
+		this.event = event;
+	}
+}
+
+/**
+Error thrown when a stream exceeds one of the `maxLineLength`, `maxEventSize`, or `maxEventsPerSecond` limits with the `'error'` action, or when a `ServerSentEventHub` subscriber exceeds `maxBufferedEvents` with the `'disconnect'` policy.
+*/
+export class ServerSentEventLimitError extends Error {
+	name = 'ServerSentEventLimitError';
+
+	constructor(option, limit) {
+		super(`The stream exceeded the \`${option}\` limit of ${limit}`);
+		this.option = option;
+		this.limit = limit;
+	}
+}
+
+/**
+TransformStream that parses Server-Sent Events.
+
+Use this for advanced stream composition or when you have a text stream that's already decoded.
+
+@example
+```
+import {ServerSentEventTransformStream} from 'parse-sse';
+
+// Custom pipeline
+myTextStream
+	.pipeThrough(new ServerSentEventTransformStream())
+	.pipeTo(myWritableStream);
+
+// With custom decoder
+response.body
+	.pipeThrough(new MyCustomDecoderStream())
+	.pipeThrough(new ServerSentEventTransformStream());
+```
+*/
+export class ServerSentEventTransformStream extends TransformStream {
+	#getState;
+	#getStats;
+
+	constructor(options = {}) {
+		const parser = createParser(options);
+		const lineBuffer = createLineBuffer(parser.maxLineLength, 1, parts => parts.join(''));
+		const {state} = options;
+		let isFirstChunk = state?.isStartOfStream ?? true;
+		let skipLineFeed = state?.skipLineFeed ?? false; // The previous chunk ended with CR, so a leading LF completes the same CRLF
+		let consumedLength = state?.offset ?? 0;
+		let lineOffset = state?.lineOffset ?? 0;
+
+		if (state) {
+			// A snapshot of a byte stream can hold bytes
+			lineBuffer.append(typeof state.buffer.text === 'string' ? state.buffer.text : new TextDecoder().decode(decodeRecordedChunk(state.buffer)));
+		}
+
+		let endState;
+		const getState = () => endState ?? createParserState(parser, {
+			buffer: lineBuffer.peek(),
+			isStartOfStream: isFirstChunk,
+			skipLineFeed,
+			offset: consumedLength,
+			lineOffset,
+		});
+
+		super({
+			transform(chunk, controller) {
+				// ServerSentEventTransformStream expects string chunks (already decoded)
+				// Use TextDecoderStream before this if you have bytes
+				if (typeof chunk !== 'string') {
+					throw new TypeError('ServerSentEventTransformStream expects string chunks. Pipe through TextDecoderStream first for byte streams.');
+				}
+
+				let text = chunk;
+				let textOffset = consumedLength;
+				consumedLength += chunk.length;
+
+				if (text === '') {
+					return;
+				}
+
+				// Strip BOM from first chunk (spec requires UTF-8 encoding)
+				if (isFirstChunk) {
+					if (text.startsWith('\uFEFF')) {
+						text = text.slice(1);
+						textOffset = 1;
+						lineOffset = 1;
+					}
+
+					isFirstChunk = false;
+				}
+
+				if (skipLineFeed) {
+					if (text.startsWith('\n')) {
+						text = text.slice(1);
+						textOffset++;
+						lineOffset = textOffset;
+					}
+
+					skipLineFeed = false;
+				}
+
+				// Only scan the new text, so a huge line arriving in many small chunks stays linear
+				const remainder = forEachLine(text, (line, next) => {
+					parser.processLine(lineBuffer.take(line), controller, lineOffset);
+					lineOffset = textOffset + next;
+				});
+
+				skipLineFeed = text.endsWith('\r');
+
+				// Keep incomplete line for the next chunk
+				if (remainder) {
+					lineBuffer.append(remainder);
+				}
+			},
+
+			flush(controller) {
+				// Keep the state from before the end of input, so it can be resumed when more input arrives
+				endState = getState();
+
+				// Process any remaining incomplete line
+				if (!lineBuffer.isEmpty) {
+					parser.processLine(lineBuffer.take(''), controller, lineOffset);
+				}
+
+				parser.end(controller, consumedLength);
+			},
+		});
+
+		this.#getState = getState;
+		this.#getStats = () => parser.getStats(consumedLength - (state?.offset ?? 0));
+	}
+
+	/**
+	A snapshot of the parser state as plain JSON, to continue parsing later by passing it as the `state` option.
+
+	@returns {object}
+	*/
+	get state() {
+		return this.#getState();
+	}
+
+	/**
+	Statistics about the stream so far, like the number of events and the time to the first event.
+
+	@returns {object}
+	*/
+	get stats() {
+		return this.#getStats();
+	}
+}
+
+const lineFeed = 0x0A;
+const carriageReturn = 0x0D;
+
+function findLineEnd(bytes, start) {
+	const lineFeedIndex = bytes.indexOf(lineFeed, start);
+	const carriageReturnIndex = bytes.indexOf(carriageReturn, start);
+
+	if (lineFeedIndex === -1) {
+		return carriageReturnIndex;
+	}
+
+	return carriageReturnIndex === -1 ? lineFeedIndex : Math.min(lineFeedIndex, carriageReturnIndex);
+}
+
+function hasByteOrderMark(bytes) {
+	return bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF;
+}
+
+/**
+TransformStream that parses Server-Sent Events from bytes.
+
+Scans `Uint8Array` chunks for line endings directly and decodes each byte only once, so it's faster than piping through `TextDecoderStream` first.
+
+@example
+```
+import {ServerSentEventByteTransformStream} from 'parse-sse';
+
+response.body
+	.pipeThrough(new ServerSentEventByteTransformStream())
+	.pipeTo(myWritableStream);
+```
+*/
+export class ServerSentEventByteTransformStream extends TransformStream {
+	#getState;
+	#getStats;
+
+	constructor(options = {}) {
+		const parser = createParser(options);
+		const decoder = new TextDecoder('utf8', {ignoreBOM: true});
+		// A UTF-16 code unit takes at most 3 bytes, so this bounds the bytes of a line that is too long
+		const lineBuffer = createLineBuffer(parser.maxLineLength, 3, concatenateBytes);
+		const {state} = options;
+		let isStartOfStream = state?.isStartOfStream ?? true;
+		let skipLineFeed = state?.skipLineFeed ?? false; // The previous chunk ended with CR, so a leading LF completes the same CRLF
+		let consumedLength = state?.offset ?? 0;
+		let lineOffset = state?.lineOffset ?? 0;
+
+		if (state) {
+			lineBuffer.append(decodeRecordedChunk(state.buffer));
+		}
+
+		let endState;
+		const getState = () => endState ?? createParserState(parser, {
+			buffer: lineBuffer.peek(),
+			isStartOfStream,
+			skipLineFeed,
+			offset: consumedLength,
+			lineOffset,
+		});
+
+		const decode = bytes => {
+			bytes = lineBuffer.take(bytes);
+
+			// Strip BOM from the start of the stream (spec requires UTF-8 encoding)
+			if (isStartOfStream) {
+				if (hasByteOrderMark(bytes)) {
+					bytes = bytes.subarray(3);
+					lineOffset = 3;
+				}
+
+				isStartOfStream = false;
+			}
+
+			return decoder.decode(bytes);
+		};
+
+		super({
+			transform(chunk, controller) {
+				if (!(chunk instanceof Uint8Array)) {
+					throw new TypeError('ServerSentEventByteTransformStream expects Uint8Array chunks.');
+				}
+
+				const chunkOffset = consumedLength;
+				consumedLength += chunk.length;
+				let start = 0;
+
+				if (skipLineFeed && chunk.length > 0) {
+					if (chunk[0] === lineFeed) {
+						start = 1;
+						lineOffset = chunkOffset + 1;
+					}
+
+					skipLineFeed = false;
+				}
+
+				if (parser.tracksPositions) {
+					// Decode line by line instead, to know the byte offset of each line
+					for (let index = start; index < chunk.length; index++) {
+						if (chunk[index] !== lineFeed && chunk[index] !== carriageReturn) {
+							continue;
+						}
+
+						let next = index + 1;
+						if (chunk[index] === carriageReturn) {
+							if (next === chunk.length) {
+								skipLineFeed = true;
+							} else if (chunk[next] === lineFeed) {
+								next++;
+							}
+						}
+
+						parser.processLine(decode(chunk.subarray(start, index)), controller, lineOffset);
+						lineOffset = chunkOffset + next;
+						start = next;
+						index = next - 1;
+					}
+				}
+
+				const lastLineEnd = Math.max(chunk.lastIndexOf(lineFeed), chunk.lastIndexOf(carriageReturn));
+
+				if (lastLineEnd >= start) {
+					// The buffer limits the length of one line, so it's only joined with the end of that line
+					if (!lineBuffer.isEmpty) {
+						const firstLineEnd = findLineEnd(chunk, start);
+						parser.processLine(decode(chunk.subarray(start, firstLineEnd)), controller);
+						start = firstLineEnd + (chunk[firstLineEnd] === carriageReturn && chunk[firstLineEnd + 1] === lineFeed ? 2 : 1);
+					}
+
+					// Line endings are ASCII, so complete lines never split a UTF-8 sequence and can be decoded in one go
+					if (start <= lastLineEnd) {
+						const text = decode(chunk.subarray(start, lastLineEnd + 1));
+						forEachLine(text, line => {
+							parser.processLine(line, controller);
+						});
+					}
+
+					skipLineFeed = chunk[lastLineEnd] === carriageReturn && lastLineEnd === chunk.length - 1;
+					start = lastLineEnd + 1;
+				}
+
+				if (start < chunk.length) {
+					// Copy, as the source may reuse its buffer
+					lineBuffer.append(chunk.slice(start));
+				}
+			},
+
+			flush(controller) {
+				endState = getState();
+
+				if (!lineBuffer.isEmpty) {
+					parser.processLine(decode(new Uint8Array()), controller, lineOffset);
+				}
+
+				parser.end(controller, consumedLength);
+			},
+		});
+
+		this.#getState = getState;
+		this.#getStats = () => parser.getStats(consumedLength - (state?.offset ?? 0));
+	}
+
+	/**
+	A snapshot of the parser state as plain JSON, to continue parsing later by passing it as the `state` option.
+
+	@returns {object}
+	*/
+	get state() {
+		return this.#getState();
+	}
+
+	/**
+	Statistics about the stream so far, like the number of events and the time to the first event.
+
+	@returns {object}
+	*/
+	get stats() {
+		return this.#getStats();
+	}
+}
+
+/**
+TransformStream that parses [newline-delimited JSON](https://github.com/ndjson/ndjson-spec) (NDJSON, also known as JSON Lines) from bytes into events, so code written for Server-Sent Events works unchanged.
+
+@example
+```
+import {ServerSentEventNdjsonTransformStream} from 'parse-sse';
+
+response.body
+	.pipeThrough(new ServerSentEventNdjsonTransformStream())
+	.pipeTo(myWritableStream);
+```
+*/
+export class ServerSentEventNdjsonTransformStream extends TransformStream {
+	constructor(options = {}) {
+		const {lastEventId = '', onLimitExceeded} = options;
+		const maxLineLength = normalizeLimit(options, 'maxLineLength');
+		const decoder = new TextDecoder();
+		const lineBuffer = createLineBuffer(maxLineLength, 1, parts => parts.join(''));
+
+		const processLine = (line, controller) => {
+			if (line.endsWith('\r')) {
+				line = line.slice(0, -1);
+			}
+
+			// Blank lines between records are allowed
+			if (line.trim() === '') {
+				return;
+			}
+
+			if (maxLineLength && line.length > maxLineLength.limit) {
+				const {option, limit, action} = maxLineLength;
+				if (action === 'error') {
+					throw new ServerSentEventLimitError(option, limit);
+				}
+
+				onLimitExceeded?.({option, limit, action});
+
+				if (action === 'drop') {
+					return;
+				}
+
+				line = line.slice(0, limit);
+			}
+
+			// Each record is an event with the JSON as its data, like a `data:` line
+			controller.enqueue({
+				type: 'message',
+				data: line,
+				lastEventId,
+				retry: undefined,
+			});
+		};
+
+		const processText = (text, controller) => {
+			let start = 0;
+			let end = text.indexOf('\n');
+
+			while (end !== -1) {
+				processLine(lineBuffer.take(text.slice(start, end)), controller);
+				start = end + 1;
+				end = text.indexOf('\n', start);
+			}
+
+			if (start < text.length) {
+				lineBuffer.append(text.slice(start));
+			}
+		};
+
+		super({
+			transform(chunk, controller) {
+				if (!(chunk instanceof Uint8Array)) {
+					throw new TypeError('ServerSentEventNdjsonTransformStream expects Uint8Array chunks.');
+				}
+
+				processText(decoder.decode(chunk, {stream: true}), controller);
+			},
+			flush(controller) {
+				processText(decoder.decode(), controller);
+
+				// The last record does not need a trailing newline
+				if (!lineBuffer.isEmpty) {
+					processLine(lineBuffer.take(''), controller);
+				}
+			},
+		});
+	}
+}
+
+// Calls `callback` with each line in text that ends with a line terminator (CRLF, CR, or LF) and the index after the terminator, and returns the unterminated remainder
+export function forEachLine(text, callback) {
+	let start = 0;
+	let lineFeedIndex = text.indexOf('\n');
+	let carriageReturnIndex = text.indexOf('\r');
+
+	while (lineFeedIndex !== -1 || carriageReturnIndex !== -1) {
+		const end = lineFeedIndex === -1 || (carriageReturnIndex !== -1 && carriageReturnIndex < lineFeedIndex)
+			? carriageReturnIndex
+			: lineFeedIndex;
+
+		const next = end + (end === carriageReturnIndex && lineFeedIndex === end + 1 ? 2 : 1);
+		callback(text.slice(start, end), next);
+		start = next;
+
+		// Only search again once passed, which keeps scanning linear
+		if (lineFeedIndex !== -1 && lineFeedIndex < start) {
+			lineFeedIndex = text.indexOf('\n', start);
+		}
+
+		if (carriageReturnIndex !== -1 && carriageReturnIndex < start) {
+			carriageReturnIndex = text.indexOf('\r', start);
+		}
+	}
+
+	return text.slice(start);
+}
+
+/*
+Holds the parts of an incomplete line, which may span many chunks.
+
+With a `maxLineLength` limit, it stops growing once the line is certain to be too long, so the parser can reject, truncate, or drop it without the buffer growing unbounded.
+*/
+function createLineBuffer(maxLineLength, unitsPerCharacter, join) {
+	const maxLength = maxLineLength ? (maxLineLength.limit * unitsPerCharacter) + 1 : Number.POSITIVE_INFINITY;
+	let parts = [];
+	let length = 0;
+
+	const append = part => {
+		if (length + part.length > maxLength) {
+			if (maxLineLength.action === 'error') {
+				throw new ServerSentEventLimitError('maxLineLength', maxLineLength.limit);
+			}
+
+			part = part.slice(0, maxLength - length);
+		}
+
+		if (part.length > 0) {
+			parts.push(part);
+			length += part.length;
+		}
+	};
+
+	return {
+		get isEmpty() {
+			return parts.length === 0;
+		},
+		append,
+		peek() {
+			return join(parts);
+		},
+		take(tail) {
+			if (parts.length === 0) {
+				return tail;
+			}
+
+			append(tail);
+			const line = parts.length === 1 ? parts[0] : join(parts);
+			parts = [];
+			length = 0;
+			return line;
+		},
+	};
+}
+
+function concatenateBytes(chunks) {
+	let length = 0;
+	for (const chunk of chunks) {
+		length += chunk.length;
+	}
+
+	const result = new Uint8Array(length);
+	let offset = 0;
+	for (const chunk of chunks) {
+		result.set(chunk, offset);
+		offset += chunk.length;
+	}
+
+	return result;
+}
+
+function normalizeLimit(options, option) {
+	const value = options[option];
+	if (value === undefined) {
+		return undefined;
+	}
+
+	const {limit, action = 'error'} = typeof value === 'number' ? {limit: value} : value;
+
+	if (!(typeof limit === 'number' && limit > 0)) {
+		throw new TypeError(`Expected \`${option}\` to be a positive number`);
+	}
+
+	if (!limitActions.has(action) || (option === 'maxEventsPerSecond' && action === 'truncate')) {
+		throw new TypeError(`Unsupported \`${option}\` action: ${action}`);
+	}
+
+	return {option, limit, action};
+}
+
+// Internal option for the reconnecting clients. They need the last event ID and reconnection time from the stream even when no event carries them, so these are emitted as `connection-state` records in order with the events.
+export const reportConnectionState = Symbol('reportConnectionState');
+
+// Line-level parser state shared by the text and byte transform streams
+export function createParser(options) {
+	const {
+		trailingEvent = 'dispatch',
+		onLimitExceeded,
+		includeComments = false,
+		includeExtensions = false,
+		includeRaw = false,
+		includeMetadata = false,
+		onDiagnostic,
+		[reportConnectionState]: reportsConnectionState = false,
+	} = options;
+
+	if (!trailingEventModes.has(trailingEvent)) {
+		throw new TypeError(`Expected \`trailingEvent\` to be one of: ${[...trailingEventModes].join(', ')}`);
+	}
+
+	if (onDiagnostic !== undefined && typeof onDiagnostic !== 'function') {
+		throw new TypeError('Expected `onDiagnostic` to be a function');
+	}
+
+	const maxLineLength = normalizeLimit(options, 'maxLineLength');
+	const maxEventSize = normalizeLimit(options, 'maxEventSize');
+	const maxEventsPerSecond = normalizeLimit(options, 'maxEventsPerSecond');
+
+	// `lastEventId` and `retry` are stream-level state: they persist across events
+	let {
+		event,
+		lastEventId,
+		retry,
+		line: lineNumber,
+		raw,
+		eventOffset,
+	} = getInitialParserState(options, includeExtensions);
+	// Spec: The ID only becomes the last event ID of the connection when the event is dispatched
+	let committedLastEventId = lastEventId;
+	// Length of the raw lines joined with newlines
+	let rawLength = raw ? raw.lines.join('\n').length : 0;
+	// Length of the names and values of the extension fields
+	let extensionsLength = getExtensionsLength(event.extensions);
+	let rateWindowStart = 0;
+	let rateWindowCount = 0;
+
+	// Position of the current line, for diagnostics and raw lines
+	let lineOffset;
+	let lineText;
+
+	const startTime = performance.now();
+	let eventCount = 0;
+	let maxEventDataLength = 0;
+	let firstEventTime;
+	let previousEventTime;
+
+	const reportDiagnostic = (code, message) => {
+		onDiagnostic?.({
+			code,
+			message,
+			line: lineNumber,
+			offset: lineOffset,
+			text: lineText,
+		});
+	};
+
+	const exceedLimit = ({option, limit, action}) => {
+		if (action === 'error') {
+			throw new ServerSentEventLimitError(option, limit);
+		}
+
+		onLimitExceeded?.({option, limit, action});
+	};
+
+	// Limited like the data, as comments and ignored fields would otherwise grow it without bound
+	const appendRawLine = line => {
+		const separatorLength = raw.lines.length > 0 ? 1 : 0;
+
+		if (maxEventSize && rawLength + separatorLength + line.length > maxEventSize.limit) {
+			const room = maxEventSize.limit - rawLength - separatorLength;
+			if (room > 0) {
+				raw.lines.push(line.slice(0, room));
+			}
+
+			rawLength = maxEventSize.limit;
+			return;
+		}
+
+		raw.lines.push(line);
+		rawLength += separatorLength + line.length;
+	};
+
+	const fieldHandlers = {
+		setLastEventId(value) {
+			lastEventId = value;
+		},
+		setRetry(value) {
+			event.retry = value;
+			retry = value;
+		},
+		appendData(value) {
+			if (event.isDropped || event.isTruncated) {
+				return;
+			}
+
+			// Checked before appending, so the data never grows past the limit. The trailing newline is not counted, as it is removed when the event is dispatched.
+			if (maxEventSize && event.data.length + value.length > maxEventSize.limit) {
+				exceedLimit(maxEventSize);
+
+				if (maxEventSize.action === 'drop') {
+					event.isDropped = true;
+					event.data = '';
+					return;
+				}
+
+				event.isTruncated = true;
+
+				const room = maxEventSize.limit - event.data.length;
+				if (room <= 0) {
+					return;
+				}
+
+				value = value.slice(0, room);
+			}
+
+			// Append data with newline (SSE spec allows multiple data fields)
+			event.data += value + '\n';
+		},
+		addExtension(field, value) {
+			if (!includeExtensions) {
+				return false;
+			}
+
+			if (event.isDropped || event.isExtensionsTruncated) {
+				return true;
+			}
+
+			// Repeated fields are joined with newlines, like `data:`
+			const existingValue = event.extensions.get(field);
+			let addition = existingValue === undefined ? value : `\n${value}`;
+			const nameLength = existingValue === undefined ? field.length : 0;
+
+			// All the names and values of an event count toward one limit, as many distinct fields would otherwise grow it without bound
+			if (maxEventSize && extensionsLength + nameLength + addition.length > maxEventSize.limit) {
+				exceedLimit(maxEventSize);
+
+				if (maxEventSize.action === 'drop') {
+					event.isDropped = true;
+					event.data = '';
+					event.extensions.clear();
+					return true;
+				}
+
+				event.isExtensionsTruncated = true;
+
+				const room = maxEventSize.limit - extensionsLength - nameLength;
+				// Nothing left of the value, or only its separator
+				if (room < 0 || (existingValue !== undefined && room <= 1)) {
+					return true;
+				}
+
+				addition = addition.slice(0, room);
+			}
+
+			event.extensions.set(field, existingValue === undefined ? addition : existingValue + addition);
+			extensionsLength += nameLength + addition.length;
+			return true;
+		},
+		reportDiagnostic,
+	};
+
+	const enqueueConnectionState = controller => {
+		controller.enqueue({kind: 'connection-state', lastEventId: committedLastEventId, retry});
+	};
+
+	const isRateLimited = () => {
+		if (!maxEventsPerSecond) {
+			return false;
+		}
+
+		const now = Date.now();
+		if (now - rateWindowStart >= 1000) {
+			rateWindowStart = now;
+			rateWindowCount = 0;
+		}
+
+		rateWindowCount++;
+		if (rateWindowCount <= maxEventsPerSecond.limit) {
+			return false;
+		}
+
+		exceedLimit(maxEventsPerSecond);
+		return true;
+	};
+
+	const dispatchEvent = (finalEvent, controller, endOffset) => {
+		if (isRateLimited()) {
+			return;
+		}
+
+		const now = performance.now();
+		eventCount++;
+		firstEventTime ??= now;
+		maxEventDataLength = Math.max(maxEventDataLength, finalEvent.data.length);
+
+		if (includeMetadata) {
+			finalEvent.metadata = {
+				receivedAt: Date.now(),
+				sequence: eventCount,
+				size: endOffset - eventOffset,
+				sincePrevious: previousEventTime === undefined ? undefined : now - previousEventTime,
+			};
+		}
+
+		previousEventTime = now;
+		controller.enqueue(finalEvent);
+	};
+
+	return {
+		maxLineLength,
+		tracksPositions: includeRaw || includeMetadata || Boolean(onDiagnostic),
+
+		getState() {
+			return {
+				lastEventId,
+				retry,
+				event: {
+					...event,
+					extensions: event.extensions && [...event.extensions],
+				},
+				raw: raw && structuredClone(raw),
+				eventOffset,
+				line: lineNumber,
+			};
+		},
+
+		getStats(receivedSize) {
+			const elapsedSeconds = (performance.now() - startTime) / 1000;
+
+			return {
+				eventCount,
+				receivedSize,
+				eventsPerSecond: elapsedSeconds > 0 ? eventCount / elapsedSeconds : 0,
+				timeToFirstEvent: firstEventTime === undefined ? undefined : firstEventTime - startTime,
+				maxEventSize: maxEventDataLength,
+			};
+		},
+
+		processLine(line, controller, offset) {
+			lineNumber++;
+			lineOffset = offset;
+			lineText = line;
+
+			// Empty line dispatches the event
+			if (line === '') {
+				const finalEvent = finalizeEvent(event, lastEventId);
+
+				if (!finalEvent && event.type && !event.isDropped) {
+					reportDiagnostic('event-without-data', `The event of type \`${event.type}\` has no data and was not dispatched`);
+				}
+
+				if (finalEvent && includeRaw) {
+					finalEvent.raw = raw;
+				}
+
+				event = createEvent(includeExtensions);
+				raw = undefined;
+				rawLength = 0;
+				extensionsLength = 0;
+
+				if (finalEvent) {
+					dispatchEvent(finalEvent, controller, offset);
+				}
+
+				if (lastEventId !== committedLastEventId) {
+					committedLastEventId = lastEventId;
+
+					if (reportsConnectionState) {
+						enqueueConnectionState(controller);
+					}
+				}
+
+				eventOffset = undefined;
+				return;
+			}
+
+			if (includeMetadata) {
+				eventOffset ??= offset;
+			}
+
+			if (maxLineLength && line.length > maxLineLength.limit) {
+				exceedLimit(maxLineLength);
+
+				// Drop the whole event, as it would be incomplete without the line
+				if (maxLineLength.action === 'drop') {
+					event.isDropped = true;
+					return;
+				}
+
+				line = line.slice(0, maxLineLength.limit);
+			}
+
+			if (includeRaw && !event.isDropped) {
+				raw ??= {line: lineNumber, offset, lines: []};
+				appendRawLine(line);
+			}
+
+			// Ignore comments, unless requested
+			if (line.startsWith(':')) {
+				if (includeComments) {
+					const comment = {kind: 'comment', text: removeLeadingSpace(line.slice(1))};
+
+					if (includeRaw) {
+						comment.raw = {line: lineNumber, offset, lines: [line]};
+					}
+
+					controller.enqueue(comment);
+				}
+
+				return;
+			}
+
+			// Parse and apply field to event
+			const previousRetry = retry;
+			processField(line, event, fieldHandlers);
+
+			// Spec: The reconnection time takes effect right away, even if the event is never dispatched
+			if (reportsConnectionState && retry !== previousRetry) {
+				enqueueConnectionState(controller);
+			}
+		},
+
+		end(controller, endOffset) {
+			// Spec: An event not terminated by a blank line is incomplete and must be discarded
+			const incompleteEvent = finalizeEvent(event, lastEventId);
+			if (!incompleteEvent) {
+				return;
+			}
+
+			reportDiagnostic('incomplete-event', 'The stream ended with an event that was not terminated by a blank line');
+
+			if (trailingEvent === 'discard') {
+				return;
+			}
+
+			if (includeRaw) {
+				incompleteEvent.raw = raw;
+			}
+
+			if (trailingEvent === 'error') {
+				throw new ServerSentEventIncompleteError(incompleteEvent);
+			}
+
+			dispatchEvent(incompleteEvent, controller, endOffset);
+		},
+	};
+}
+
+function createEvent(includeExtensions) {
+	return {
+		type: '',
+		data: '',
+		retry: undefined,
+		extensions: includeExtensions ? new Map() : undefined,
+		isDropped: false,
+		isTruncated: false,
+		isExtensionsTruncated: false,
+	};
+}
+
+function getExtensionsLength(extensions) {
+	let length = 0;
+	for (const [field, value] of extensions ?? []) {
+		length += field.length + value.length;
+	}
+
+	return length;
+}
+
+function restoreEvent(event, includeExtensions) {
+	return {
+		...createEvent(includeExtensions),
+		type: event.type,
+		data: event.data,
+		retry: event.retry,
+		extensions: includeExtensions ? new Map(event.extensions) : undefined,
+		isDropped: event.isDropped,
+		isTruncated: event.isTruncated,
+		isExtensionsTruncated: event.isExtensionsTruncated ?? false,
+	};
+}
+
+const parserStateVersion = 1;
+
+function createParserState(parser, {buffer, isStartOfStream, skipLineFeed, offset, lineOffset}) {
+	return {
+		version: parserStateVersion,
+		...parser.getState(),
+		buffer: encodeRecordedChunk(buffer),
+		isStartOfStream,
+		skipLineFeed,
+		offset,
+		lineOffset,
+	};
+}
+
+// The state to start parsing from, which is either new or restored from the `state` option
+function getInitialParserState(options, includeExtensions) {
+	const {state} = options;
+
+	if (state === undefined) {
+		return {
+			event: createEvent(includeExtensions),
+			lastEventId: options.lastEventId ?? '',
+			line: 0,
+		};
+	}
+
+	assertParserState(state);
+
+	return {
+		event: restoreEvent(state.event, includeExtensions),
+		lastEventId: state.lastEventId,
+		retry: state.retry,
+		line: state.line,
+		raw: state.raw && structuredClone(state.raw),
+		eventOffset: state.eventOffset,
+	};
+}
+
+function assertParserState(state) {
+	if (state?.version !== parserStateVersion || typeof state.lastEventId !== 'string' || typeof state.event?.data !== 'string' || !state.buffer) {
+		throw new TypeError(`Expected \`state\` to be a parser state with \`version\` ${parserStateVersion} from the \`state\` property of a transform stream`);
+	}
+}
+
+function finalizeEvent(event, lastEventId) {
+	let {data} = event;
+
+	// Remove trailing newline from data (added after each data field)
+	if (data.endsWith('\n')) {
+		data = data.slice(0, -1);
+	}
+
+	// Only dispatch if data is non-empty (per spec)
+	if (!data || event.isDropped) {
+		return undefined;
+	}
+
+	const finalEvent = {
+		type: event.type || 'message', // Default to 'message' if empty (per spec)
+		data,
+		lastEventId, // Always present, matches browser MessageEvent.lastEventId
+		retry: event.retry,
+	};
+
+	if (event.extensions) {
+		finalEvent.extensions = event.extensions;
+	}
+
+	return finalEvent;
+}
+
+function removeLeadingSpace(value) {
+	// Remove single leading space from value (spec requirement)
+	return value.startsWith(' ') ? value.slice(1) : value;
+}
+
+const fieldNames = new Set(['event', 'data', 'id', 'retry']);
+
+function processField(line, event, {setLastEventId, setRetry, appendData, addExtension, reportDiagnostic}) {
+	const colonIndex = line.indexOf(':');
+
+	const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+	const value = colonIndex === -1 ? '' : removeLeadingSpace(line.slice(colonIndex + 1));
+
+	switch (field) {
+		case 'event': {
+			event.type = value;
+			break;
+		}
+
+		case 'data': {
+			appendData(value);
+			break;
+		}
+
+		case 'id': {
+			// Spec: Ignore field if value contains NULL character
+			// Otherwise update the stream-level last event ID (persists across events)
+			if (value.includes('\0')) {
+				reportDiagnostic('id-contains-null', 'The `id` field contains a NULL character and was ignored');
+			} else {
+				setLastEventId(value);
+			}
+
+			break;
+		}
+
+		case 'retry': {
+			// Spec: Only accept if value consists of only ASCII digits
+			if (/^\d+$/.test(value)) {
+				setRetry(Number.parseInt(value, 10));
+			} else {
+				reportDiagnostic('invalid-retry', 'The `retry` field is not an integer and was ignored');
+			}
+
+			break;
+		}
+
+		default: {
+			// Unknown fields are ignored per spec, unless extensions are requested
+			const isExtension = addExtension(field, value);
+
+			if (field.startsWith('\uFEFF')) {
+				reportDiagnostic('stray-bom', 'The line starts with a byte order mark, so its field is unknown');
+			} else if (fieldNames.has(field.trim())) {
+				reportDiagnostic('field-name-whitespace', `The field name \`${field}\` has whitespace, so it's not the \`${field.trim()}\` field`);
+			} else if (!isExtension) {
+				reportDiagnostic('unknown-field', `The unknown field \`${field}\` was ignored`);
+			}
+
+			break;
+		}
+	}
+}
@@ -0,0 +1,75 @@
+export async function cancelQuietly(reader, reason) {
+	try {
+		await reader?.cancel(reason);
+	} catch {}
+}
+
+export function delay(milliseconds, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal.aborted) {
+			reject(signal.reason);
+			return;
+		}
+
+		const timeout = setTimeout(() => {
+			signal.removeEventListener('abort', onAbort);
+			resolve();
+		}, milliseconds);
+
+		function onAbort() {
+			clearTimeout(timeout);
+			reject(signal.reason);
+		}
+
+		signal.addEventListener('abort', onAbort, {once: true});
+	});
+}
+
+export function toIterator(source) {
+	if (typeof source?.getReader === 'function') {
+		// Not all runtimes support async iteration of ReadableStream
+		const reader = source.getReader();
+		return {
+			next: () => reader.read(),
+			async return(reason) {
+				await reader.cancel(reason);
+				return {done: true, value: undefined};
+			},
+		};
+	}
+
+	if (typeof source?.[Symbol.asyncIterator] === 'function') {
+		return source[Symbol.asyncIterator]();
+	}
+
+	if (typeof source?.[Symbol.iterator] === 'function') {
+		return source[Symbol.iterator]();
+	}
+
+	throw new TypeError('Expected an iterable, async iterable, or ReadableStream of events');
+}
+
+export function encodeRecordedChunk(chunk) {
+	if (typeof chunk === 'string') {
+		return {text: chunk};
+	}
+
+	try {
+		// Readable text when the chunk is valid UTF-8 on its own, otherwise the exact bytes
+		return {text: new TextDecoder('utf8', {fatal: true, ignoreBOM: true}).decode(chunk)};
+	} catch {
+		return {bytes: [...chunk]};
+	}
+}
+
+export function decodeRecordedChunk(chunk) {
+	if (typeof chunk.text === 'string') {
+		return new TextEncoder().encode(chunk.text);
+	}
+
+	if (Array.isArray(chunk.bytes)) {
+		return Uint8Array.from(chunk.bytes);
+	}
+
+	throw new TypeError('Expected a recorded chunk to have a `text` or `bytes` property');
+}